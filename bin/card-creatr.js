@@ -20,12 +20,52 @@
 
 /* eslint-disable no-console */
 
+const CcsbReader = require("../lib/ccsb");
+const commandLineArgs = require("command-line-args");
+const commandLineUsage = require("command-line-usage");
+const defaults = require("../lib/defaults");
+const DiskCache = require("../lib/cache");
 const fs = require("fs");
 const log = require("../lib/logger")("card-creatr");
 const mime = require("mime");
+const path = require("path");
+const rasterize = require("../lib/rasterize");
 const ReadAndRender = require("../lib/read-and-render");
+const Schema = require("../lib/schema");
+const utils = require("../lib/utils");
+const DeckWatcher = require("../lib/watch").DeckWatcher;
+const PreviewServer = require("../lib/server");
+const RenderPool = require("../lib/pool");
+
+// Exit codes: an error while loading, rendering, or writing; a mistake on the command line; and problems with the deck, found either by the schema check or while rendering with the "strict" option.
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_INVALID = 3;
+
+// Page numbers passed to ReadAndRender#runImages() for each type of export.  The "tabletop" export uses ReadAndRender#runTabletop() instead.
+const EXPORT_PAGES = {
+	cards: -1,
+	pages: -2,
+	frontback: -3,
+	backs: -4,
+	tabletop: null
+};
+
+// File name patterns for the pages with "--output-dir".  Cards and backs use ReadAndRender#renderAll() instead.
+const EXPORT_FILENAMES = {
+	pages: "page-{page}.png",
+	frontback: "page-{page}.png"
+};
 
 const optionList = [
+	{
+		name: "type",
+		type: String,
+		defaultOption: true,
+		typeLabel: "{underline cards|pages|frontback|backs|tabletop}",
+		description: "What to export: every card, every page, every page with a back page after it, every card back, or Tabletop Simulator deck sheets.  May be given without '--type', as in 'card-creatr export pages ...'.",
+		defaultValue: null
+	},
 	{
 		name: "input",
 		alias: "i",
@@ -38,7 +78,34 @@ const optionList = [
 		alias: "o",
 		type: String,
 		typeLabel: "{underline file}",
-		description: "Path to the output file.  Supported file types are *.svg and *.png.  If omitted, an SVG will be printed to standard out.",
+		description: "Path to the output file.  For 'render', supported file types are *.svg, *.png, and *.pdf, and if omitted, an SVG will be printed to standard out.  For 'export', either a *.zip file, a *.pdf or *.svg file containing every page, or a file name pattern such as 'out/\\{id\\}-\\{title\\}.png'.  For 'pack' and 'new', a *.ccsb file.",
+	},
+	{
+		name: "output-dir",
+		type: String,
+		typeLabel: "{underline directory}",
+		description: "Directory for the output files of 'export', 'unpack', and 'new'.  Exported cards are named by the 'filename' option, pages like 'page-1.png', and the 'tabletop' export after the input file.",
+	},
+	{
+		name: "format",
+		type: String,
+		typeLabel: "{underline svg|png}",
+		description: "With 'export cards' or 'export backs' and '--output-dir', the format of the files.  Defaults to svg.",
+		defaultValue: "svg"
+	},
+	{
+		name: "filename",
+		type: String,
+		typeLabel: "{underline pattern}",
+		description: "With 'export cards' or 'export backs' and '--output-dir', the file name pattern, without the extension.  The values are made safe for file names, like 'cash-out', and numbers are added to duplicate names.  Defaults to '\\{id\\}_\\{title\\}'.",
+		defaultValue: "{id}_{title}"
+	},
+	{
+		name: "index",
+		type: String,
+		typeLabel: "{underline file}",
+		description: "With 'export cards' or 'export backs' and '--output-dir', also write a JSON file with this name to the directory, mapping the id of each card to its file name.",
+		defaultValue: null
 	},
 	{
 		name: "template",
@@ -50,7 +117,7 @@ const optionList = [
 		name: "data",
 		type: String,
 		typeLabel: "{underline file}",
-		description: "Path to the spreadsheet containing the card data.",
+		description: "Path to the spreadsheet containing the card data.  Supported file types are *.csv, *.xlsx, *.ods, *.json, *.hjson, and *.yaml.",
 	},
 	{
 		name: "id",
@@ -66,18 +133,78 @@ const optionList = [
 		description: "The 'title' value of the row in the data file you would like to render.  Requires one of the columns in your data file to be named 'title'.",
 		defaultValue: null
 	},
+	{
+		name: "where",
+		type: String,
+		typeLabel: "{underline expression}",
+		description: "Render only the rows matching an expression, such as 'type == \"Spell\" && cost >= 3'.  Supports comparisons (==, !=, <, <=, >, >=), boolean operators (&&, ||, !), lists ('type in [\"Creature\", \"Token\"]'), and regular expressions ('title =~ /^Cash/i').",
+		defaultValue: null
+	},
 	{
 		name: "page",
 		type: Number,
 		description: "Generate a page layout for printing instead of an individual card layout.  For example, '--page 2' will generate the second page of cards.",
 		defaultValue: -1
 	},
+	{
+		name: "back",
+		type: Boolean,
+		description: "Render the back of the card instead of the front, using the 'back' template.  Relevant only if 'page' is not specified.",
+		defaultValue: false
+	},
+	{
+		name: "export",
+		type: String,
+		typeLabel: "{underline cards|pages|frontback|backs|tabletop}",
+		description: "Same as the 'export' command with the given type, for compatibility with earlier versions.",
+		defaultValue: null
+	},
 	{
 		name: "multiples",
 		type: Number,
 		description: "Number of times to print each card.  Relevant only if 'page' is specified.",
 		defaultValue: 1
 	},
+	{
+		name: "locale",
+		type: String,
+		typeLabel: "{underline name|all}",
+		description: "Render the cards in a locale from the 'locales' config, with its translations and fonts.  Use 'all' to render every locale, with one output per locale: '\\{locale\\}' in the output is replaced by the name of the locale, or if there is none, the name is added to the end of the output file name.",
+		defaultValue: null
+	},
+	{
+		name: "strict",
+		type: Boolean,
+		description: "Fail if any problems are found while rendering, such as text overflowing its box, missing images, or fields referenced by the template but missing from the card data.  Without this option, the problems are printed as warnings.",
+		defaultValue: false
+	},
+	{
+		name: "watch",
+		alias: "w",
+		type: Boolean,
+		description: "Keep running, and render again whenever the config file, the template, the data, or any font or image changes.  Only the cards that changed are rendered again, and the output is replaced only once it is complete.",
+		defaultValue: false
+	},
+	{
+		name: "port",
+		type: Number,
+		description: "The port for the 'serve' command to listen on.  The server is reachable only from this computer.",
+		defaultValue: 8080
+	},
+	{
+		name: "jobs",
+		alias: "j",
+		type: Number,
+		typeLabel: "{underline number}",
+		description: "Number of worker threads to render the cards in, for large decks.  Each thread loads the fonts and compiles the templates once.  Defaults to 1, which renders the cards without worker threads.",
+		defaultValue: 1
+	},
+	{
+		name: "no-cache",
+		type: Boolean,
+		description: "Render every card, instead of reusing the cards rendered by earlier runs that have not changed since.  The rendered cards are kept in $XDG_CACHE_HOME/card-creatr, or ~/.cache/card-creatr; remove them with 'card-creatr cache-clean'.",
+		defaultValue: false
+	},
 	{
 		name: "sync",
 		type: Boolean,
@@ -94,43 +221,134 @@ const optionList = [
 	{
 		name: "help",
 		alias: "h",
-		description: "Print this usage guide.",
+		description: "Print the usage guide for the command.",
 		type: Boolean	
 	}
 ];
 
-const usageList = [
-	{
-		header: "Card Creatr",
-		content: "Command-line utility designed for generating custom playing cards using pug templates and data stored in a spreadsheet file."
+// The commands and their options.  Without a command, the "render" command is used, as in earlier versions.
+const COMMANDS = {
+	render: {
+		summary: "Render one card or one page to an SVG, PNG, or PDF file.  This is the default command.",
+		example: "card-creatr render -i config.hjson --page 2 -o page2.pdf",
+		options: ["input", "output", "template", "data", "id", "title", "where", "page", "back", "multiples", "locale", "strict", "watch", "jobs", "no-cache", "sync", "options", "export"]
 	},
-	{
-		header: "Options",
-		optionList: optionList
+	export: {
+		summary: "Render every card, every page, or every page with its back in one go.  The resolution of PNG files is taken from the 'dpi' values in the 'dimensions' config.",
+		example: "card-creatr export pages -i deck.ccsb --output-dir out",
+		options: ["type", "input", "output", "output-dir", "format", "filename", "index", "template", "data", "id", "title", "where", "multiples", "locale", "strict", "watch", "jobs", "no-cache", "sync", "options"]
+	},
+	validate: {
+		summary: "Check the config file and card data for errors without rendering anything.",
+		example: "card-creatr validate -i config.hjson",
+		options: ["input", "template", "data", "id", "title", "where", "locale", "strict", "sync", "options"]
+	},
+	serve: {
+		summary: "Start a local web server for previewing the cards in a browser, which reloads whenever the files change.",
+		example: "card-creatr serve -i config.hjson --port 8080",
+		options: ["input", "template", "data", "id", "title", "where", "multiples", "locale", "port", "options"]
+	},
+	pack: {
+		summary: "Bundle a config file and every file it references into a *.ccsb file for Card Creatr Studio.",
+		example: "card-creatr pack -i config.hjson -o deck.ccsb",
+		options: ["input", "output"]
+	},
+	unpack: {
+		summary: "Extract a *.ccsb file into a directory, with a config file that can be rendered and edited directly.",
+		example: "card-creatr unpack -i deck.ccsb --output-dir deck",
+		options: ["input", "output-dir"]
+	},
+	new: {
+		summary: "Create a new deck, either as a *.ccsb file or as a directory with a config file, a template, and card data.",
+		example: "card-creatr new --output-dir deck",
+		options: ["output", "output-dir"]
+	},
+	"cache-clean": {
+		summary: "Remove the rendered cards kept by 'render' and 'export' for reuse in later runs, for every deck, from $XDG_CACHE_HOME/card-creatr or ~/.cache/card-creatr.",
+		example: "card-creatr cache-clean",
+		options: []
 	}
+};
+
+const EXIT_CODE_LIST = [
+	{ name: "0", summary: "Success." },
+	{ name: "" + EXIT_ERROR, summary: "An error occurred while loading, rendering, or writing files." },
+	{ name: "" + EXIT_USAGE, summary: "The command line is invalid." },
+	{ name: "" + EXIT_INVALID, summary: "The config file is invalid, or, with '--strict', problems were found while rendering." }
 ];
 
+/** Returns the options of a command, including "help". */
+function getOptionList(commandName) {
+	return optionList.filter((option) => {
+		return option.name === "help" || COMMANDS[commandName].options.indexOf(option.name) !== -1;
+	});
+}
+
+function printUsage(commandName) {
+	var sections = [{
+		header: "Card Creatr",
+		content: "Command-line utility designed for generating custom playing cards using pug templates and data stored in a spreadsheet file."
+	}];
+	if (commandName) {
+		sections.push({
+			header: "card-creatr " + commandName,
+			content: COMMANDS[commandName].summary + "\n\nExample: " + COMMANDS[commandName].example
+		}, {
+			header: "Options",
+			optionList: getOptionList(commandName)
+		});
+	} else {
+		sections.push({
+			header: "Commands",
+			content: Object.keys(COMMANDS).map((name) => {
+				return { name, summary: COMMANDS[name].summary };
+			})
+		}, {
+			content: "Run 'card-creatr <command> --help' for the options of a command."
+		});
+	}
+	sections.push({
+		header: "Exit Codes",
+		content: EXIT_CODE_LIST
+	});
+	console.log(commandLineUsage(sections));
+}
+
+function usageError(message) {
+	console.error("Error: " + message);
+	console.error("Run 'card-creatr " + command + " --help' for usage.");
+	process.exit(EXIT_USAGE);
+}
+
 log.trace("options");
-const options = require("command-line-args")(optionList);
-if (options.help || !options.input) {
-	console.log(require("command-line-usage")(usageList));
+const firstArg = process.argv[2];
+if (firstArg && firstArg[0] !== "-" && !Object.prototype.hasOwnProperty.call(COMMANDS, firstArg)) {
+	console.error("Error: Unknown command: " + firstArg);
+	console.error("Run 'card-creatr --help' for the list of commands.");
+	process.exit(EXIT_USAGE);
+}
+var command = firstArg && firstArg[0] !== "-" ? firstArg : "render";
+var options;
+try {
+	options = commandLineArgs(getOptionList(command), { argv: process.argv.slice(command === firstArg ? 3 : 2) });
+} catch(err) {
+	usageError(err.message);
+}
+if (options.help || process.argv.length === 2) {
+	printUsage(command === firstArg ? command : null);
 	process.exit(0);
 }
 
-// Create the ReadAndRender instance
-log.trace("inst");
-const inst = new ReadAndRender(
-	options.input,
-	options.options ? JSON.parse(options.options) : {},
-	{
-		"template (path)": options.template,
-		"data (path)": options.data,
-		query: {
-			id: options.id,
-			title: options.title
-		}
-	}
-);
+// The "export" option of earlier versions
+if (command === "render" && options.export !== null) {
+	command = "export";
+	options.type = options.export;
+}
+const validateOnly = (command === "validate");
+
+if (command !== "new" && command !== "cache-clean" && !options.input) {
+	usageError("The '" + command + "' command requires an input file (-i).");
+}
 
 // Compute output format
 var format = "svg";
@@ -140,55 +358,345 @@ if (options.output) {
 	if (type === "application/pdf") format = "pdf";
 }
 
+// With the "export" command, whether all pages are written to a single SVG or PDF file, and whether each card is written to its own file with ReadAndRender#renderAll().
+var exportToFile = false;
+var exportAll = false;
+if (command === "export") {
+	if (!(options.type in EXPORT_PAGES)) {
+		usageError((options.type ? "Unknown export type: " + options.type + "." : "The 'export' command requires a type.") + "  Choose one of: " + Object.keys(EXPORT_PAGES).join(", "));
+	}
+	if (!options.output === !options["output-dir"]) {
+		usageError("The 'export' command requires either an output file or file name pattern (-o) or an output directory (--output-dir).");
+	}
+	exportAll = !!options["output-dir"] && (options.type === "cards" || options.type === "backs");
+	if (exportAll) {
+		if (options.format !== "svg" && options.format !== "png") {
+			usageError("Unknown format: " + options.format + ".  Choose either svg or png.");
+		}
+		options.output = options["output-dir"];
+	} else if ((options.format || "svg") !== "svg" || (options.filename || "{id}_{title}") !== "{id}_{title}" || options.index) {
+		usageError("The 'format', 'filename', and 'index' options are only for exporting cards or backs with '--output-dir'.");
+	} else if (options["output-dir"]) {
+		format = "png";
+		options.output = path.join(options["output-dir"], EXPORT_FILENAMES[options.type] || (path.basename(options.input, path.extname(options.input)) + ".json"));
+	}
+	exportToFile = !exportAll && (options.type !== "tabletop") && (format === "pdf" || mime.lookup(options.output) === "image/svg+xml");
+	if (exportToFile && options.type !== "pages" && options.type !== "frontback") {
+		usageError("Only pages can be exported to a single " + format.toUpperCase() + " file.  Export the " + options.type + " to a directory, a *.zip file, or PNG files instead.");
+	}
+}
+
+if ((command === "pack" || command === "new") && options.output && mime.lookup(options.output) !== "application/x-ccs-bundle") {
+	usageError("The output of the '" + command + "' command must be a *.ccsb file.");
+}
+if ((command === "pack" && !options.output) || (command === "unpack" && !options["output-dir"]) || (command === "new" && !options.output === !options["output-dir"])) {
+	usageError("The '" + command + "' command requires " + (command === "pack" ? "an output file (-o)." : command === "unpack" ? "an output directory (--output-dir)." : "either an output file (-o) or an output directory (--output-dir)."));
+}
+
+// Compute the page to render
+var page = options.page;
+if (options.back && page === -1) page = -4;
+
+if (options.locale === "all" && (command === "render" || command === "export") && !options.output) {
+	usageError("Rendering all locales requires an output file.");
+}
+if (options.locale === "all" && command === "serve") {
+	usageError("The 'serve' command shows one locale at a time.");
+}
+
+if (options.watch && ((!options.output && !validateOnly) || options.locale === "all")) {
+	usageError("The 'watch' option requires an output file, and cannot be used with '--locale all'.");
+}
+
+if (typeof options.jobs !== "undefined" && !(Number.isInteger(options.jobs) && options.jobs >= 1)) {
+	usageError("The 'jobs' option must be a whole number of at least 1.");
+}
+if (options.jobs > 1 && options.sync) {
+	usageError("The 'jobs' option cannot be used with the synchronous API ('--sync').");
+}
+
+var optionsOverride = {};
+if (options.options) {
+	try {
+		optionsOverride = JSON.parse(options.options);
+	} catch(err) {
+		usageError("The 'options' option is not valid JSON: " + err.message);
+	}
+}
+
+// The instance being rendered, and its locale and output file.  With "--locale all", these change for each locale.
+var inst, currentLocale, output;
+var pendingLocales = null;
+
+// With "--jobs": the worker threads, shared by the instances of every locale.
+var renderPool = (options.jobs > 1) ? new RenderPool(options.jobs) : null;
+
+// The cards rendered by earlier runs, unless "--no-cache" is given.
+var diskCache = (command === "render" || command === "export") && !options["no-cache"] ? new DiskCache() : null;
+
+// With "--watch": the watcher, and the function to call when done with an update.
+var deckWatcher = null;
+var finishUpdate = null;
+
 // Perform the main computation
 log.trace("run");
-if (options.sync) {
-	try {
-		inst.loadSync();
-		inst.run(options.page, options.multiples, format, (err, outputBuffer) => {
+if (command === "serve") {
+	serve();
+} else if (command === "pack") {
+	pack();
+} else if (command === "unpack") {
+	unpack();
+} else if (command === "new") {
+	newDeck();
+} else if (command === "cache-clean") {
+	cacheClean();
+} else if (options.locale === "all") {
+	// Load the config once to find the names of the locales, and then render each locale in turn.
+	let configInst = makeInst(null);
+	loadInst(configInst, () => {
+		pendingLocales = configInst.getLocales();
+		if (pendingLocales.length === 0) {
+			afterError(new Error("No locales were found in the 'locales' config."));
+			return;
+		}
+		start(pendingLocales.shift());
+	});
+} else {
+	start(options.locale);
+}
+
+function makeInst(localeName) {
+	var overrides = Object.assign({}, optionsOverride);
+	if (localeName) overrides.locale = localeName;
+	return new ReadAndRender(
+		options.input,
+		overrides,
+		{
+			"template (path)": options.template,
+			"data (path)": options.data,
+			query: {
+				id: options.id,
+				title: options.title,
+				where: options.where
+			}
+		}
+	);
+}
+
+function loadInst(_inst, next) {
+	if (options.sync) {
+		try {
+			_inst.loadSync();
+			printConfigWarnings(_inst);
+			next();
+		} catch(err) {
+			afterError(err);
+		}
+	} else {
+		_inst.load((err) => {
 			if (err) {
 				afterError(err);
-			} else {
-				afterRun(outputBuffer);
+				return;
+			}
+			printConfigWarnings(_inst);
+			try {
+				next();
+			} catch(err) {
+				afterError(err);
 			}
 		});
-	} catch(err) {
-		afterError(err);
 	}
-} else {
-	inst.load((err) => {
-		if (err) {
-			afterError(err);
-			return;
-		}
+}
+
+/** Prints the problems in the config that did not prevent loading it, such as likely typos of known fields. */
+function printConfigWarnings(_inst) {
+	for (let warning of _inst.getConfigWarnings()) {
+		console.error("Warning: " + Schema.formatError(warning));
+	}
+}
+
+function start(localeName) {
+	log.trace("inst");
+	inst = makeInst(localeName);
+	if (options.watch) inst.enableRenderCache();
+	if (renderPool) inst.setRenderPool(renderPool);
+	if (diskCache) inst.setDiskCache(diskCache);
+	currentLocale = localeName;
+	output = getLocaleOutput(options.output, localeName);
+	loadInst(inst, runInst);
+}
+
+function serve() {
+	var server = new PreviewServer(makeInst(options.locale), options.multiples);
+	server.listen(options.port, "127.0.0.1", (err, address) => {
+		if (err) return afterError(err);
+		console.error("Serving " + options.input + " at " + address + "  Press Ctrl+C to stop.");
+	});
+}
+
+function pack() {
+	inst = makeInst(null);
+	loadInst(inst, () => {
+		inst.pack(options.output, (err) => {
+			if (err) return afterError(err);
+			console.error("Packed " + options.input + " into " + options.output);
+		});
+	});
+}
+
+function unpack() {
+	var bundle = new CcsbReader(options.input);
+	bundle.load((err) => {
+		if (err) return afterError(err);
+		extract(bundle);
+	});
+}
+
+function newDeck() {
+	var bundle = new CcsbReader(null);
+	bundle.load((err) => {
+		if (err) return afterError(err);
+		bundle.writeFile(CcsbReader.DATA_PATH, defaults.getSampleData());
+		if (options["output-dir"]) return extract(bundle);
+		if (fs.existsSync(options.output)) return afterError(new Error("File already exists: " + options.output));
+		bundle.setPath(options.output);
+		bundle.save((err) => {
+			if (err) return afterError(err);
+			console.error("Created " + options.output);
+		});
+	});
+}
+
+function cacheClean() {
+	var cache = new DiskCache();
+	cache.clean((err) => {
+		if (err) return afterError(err);
+		console.error("Removed " + cache.dir);
+	});
+}
+
+function extract(bundle) {
+	var dirname = options["output-dir"];
+	bundle.extract(dirname, (err) => {
+		if (err) return afterError(err);
+		console.error("Wrote " + dirname + "; render it with: card-creatr render -i " + path.join(dirname, CcsbReader.CONFIG_PATH) + " -o card.svg");
+	});
+}
+
+/** With "--locale all", returns the output file for the given locale. */
+function getLocaleOutput(_output, localeName) {
+	if (!_output || options.locale !== "all") return _output;
+	if (_output.indexOf("{locale}") !== -1) return _output.split("{locale}").join(localeName);
+	let ext = path.extname(_output);
+	return _output.substr(0, _output.length - ext.length) + "_" + localeName + ext;
+}
+
+function runInst() {
+	if (validateOnly) {
+		let report = inst.getUntranslated();
+		let err = checkReport(report);
+		if (err) return afterError(err);
+		let count = report.length + inst.getConfigWarnings().length;
+		console.log((count > 0 ? count + " warning(s)" : "No problems") + " found in " + options.input + (currentLocale ? " for locale " + currentLocale : ""));
+		afterSave();
+		return;
+	}
+	// With "--jobs", render the cards in the worker threads first.
+	inst.prerender((err) => {
+		if (err) return afterError(err);
 		try {
-			inst.run(options.page, options.multiples, format, (err, outputBuffer) => {
-				if (err) {
-					afterError(err);
-				} else {
-					afterRun(outputBuffer);
-				}
-			});
+			renderInst();
 		} catch(err) {
 			afterError(err);
 		}
 	});
 }
 
+function renderInst() {
+	if (exportAll) {
+		inst.renderAll(output, { format: options.format, back: (options.type === "backs"), filename: options.filename, index: options.index }, (err) => {
+			if (err || (err = checkReport(inst.getReport()))) return afterError(err);
+			afterSave();
+		});
+	} else if (command === "export" && options.type === "tabletop") {
+		inst.runTabletop(output, options.multiples, (err, files) => {
+			if (err || (err = checkReport(inst.getReport()))) {
+				afterError(err);
+			} else {
+				afterTabletop(files);
+			}
+		});
+	} else if (command === "export" && !exportToFile) {
+		inst.runImages(EXPORT_PAGES[options.type], options.multiples, (err, images) => {
+			if (err || (err = checkReport(inst.getReport()))) {
+				afterError(err);
+			} else {
+				afterExport(images);
+			}
+		});
+	} else {
+		inst.run(exportToFile ? EXPORT_PAGES[options.type] : page, options.multiples, format, (err, outputBuffer) => {
+			if (err || (err = checkReport(inst.getReport()))) {
+				afterError(err);
+			} else {
+				afterRun(outputBuffer);
+			}
+		});
+	}
+}
+
+/** Prints the problems found while rendering.  Returns an error if there are problems and the "strict" option is set. */
+function checkReport(report) {
+	for (let warning of report) {
+		let card = (pendingLocales ? "locale " + currentLocale + ", " : "") + "card " + (warning.index + 1);
+		if (warning.id != null) card += " (id " + warning.id + ")";
+		if (warning.title != null) card += " \"" + warning.title + "\"";
+		if (warning.side === "back") card += ", back";
+		console.error("Warning: " + card + ": " + warning.message);
+	}
+	if (options.strict && report.length > 0) {
+		let err = new Error(report.length + " problem(s) found while rendering; failing because of the 'strict' option");
+		err.exitCode = EXIT_INVALID;
+		return err;
+	}
+	return null;
+}
+
 function afterError(err) {
 	log.trace("afterError");
-	if (err) {
+	if (!err) return;
+	printError(err);
+	if (options.watch) {
+		// Keep watching, so that the problem can be fixed.
+		afterWatchedRun(true);
+		return;
+	}
+	if (err.errors) {
+		process.exit(EXIT_INVALID);
+	}
+	if (err.exitCode) {
+		process.exit(err.exitCode);
+	}
+	fs.writeFileSync("card-creatr.log", err.stack + "\n");
+	console.error("More information available in card-creatr.log");
+	process.exit(EXIT_ERROR);
+}
+
+function printError(err) {
+	if (err.errors) {
+		// Invalid configuration: print one line per problem
+		for (let error of err.errors) {
+			console.error("Error: " + Schema.formatError(error));
+		}
+	} else {
 		console.error("Error:", err.message);
-		fs.writeFileSync("card-creatr.log", err.stack + "\n");
-		console.error("More information available in card-creatr.log");
-		process.exit(1);
 	}
 }
 
 function afterRun(outputBuffer) {
 	log.trace("afterRun");
-	if (options.output) {
-		fs.writeFile(options.output, outputBuffer, afterSave);
+	if (output) {
+		utils.writeFileAtomic(output, outputBuffer, afterSave);
 	} else {
 		process.stdout.write(outputBuffer);
 		afterSave();
@@ -196,7 +704,79 @@ function afterRun(outputBuffer) {
 	log.trace("done");
 }
 
+function afterExport(images) {
+	log.trace("afterExport");
+	if (mime.lookup(output) === "application/zip") {
+		let pngBuffers = images.map((image) => { return image.buffer; });
+		rasterize.pngListToPngsZip(output, pngBuffers, null, null, afterSave);
+		return;
+	}
+	// Number the files if the pattern does not contain any placeholders.
+	let pattern = output;
+	if (!/\{\w+\}/.test(pattern)) {
+		let ext = path.extname(pattern);
+		pattern = pattern.substr(0, pattern.length - ext.length) + "-{index}" + ext;
+	}
+	try {
+		for (let image of images) {
+			let filename = utils.formatFilename(pattern, image.fields);
+			fs.mkdirSync(path.dirname(filename), { recursive: true });
+			utils.writeFileAtomicSync(filename, image.buffer);
+		}
+	} catch(err) {
+		return afterError(err);
+	}
+	afterSave();
+}
+
+function afterTabletop(files) {
+	log.trace("afterTabletop");
+	try {
+		for (let file of files) {
+			fs.mkdirSync(path.dirname(file.path), { recursive: true });
+			utils.writeFileAtomicSync(file.path, file.buffer);
+		}
+	} catch(err) {
+		return afterError(err);
+	}
+	afterSave();
+}
+
 function afterSave(err) {
 	if (err) return afterError(err);
+	if (pendingLocales && pendingLocales.length > 0) {
+		start(pendingLocales.shift());
+		return;
+	}
+	if (options.watch) {
+		if (deckWatcher) {
+			console.error("Updated " + (output || options.input) + ": rendered " + inst.renderCount + " card(s)");
+		}
+		afterWatchedRun(false);
+		return;
+	}
 	// allow node.js to exit
 }
+
+/** Starts watching after the first run, or finishes the current update.  If the first run failed, the first change loads everything again. */
+function afterWatchedRun(failed) {
+	if (!deckWatcher) {
+		deckWatcher = new DeckWatcher(inst, onDeckUpdate);
+		let count = deckWatcher.start(failed);
+		console.error("Watching " + count + " file(s) for changes.  Press Ctrl+C to stop.");
+	} else if (finishUpdate) {
+		let next = finishUpdate;
+		finishUpdate = null;
+		next();
+	}
+}
+
+function onDeckUpdate(err, next) {
+	finishUpdate = next;
+	if (err) return afterError(err);
+	try {
+		runInst();
+	} catch(err) {
+		afterError(err);
+	}
+}
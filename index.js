@@ -1,11 +1,22 @@
+var api = require("./lib/api");
 var CardRenderer = require("./lib/render");
 var CcsbReader = require("./lib/ccsb");
 var csv = require("./lib/csv");
+var Deck = require("./lib/deck");
 var defaults = require("./lib/defaults");
+var DiskCache = require("./lib/cache");
+var errors = require("./lib/errors");
+var json = require("./lib/json");
 var OptionsParser = require("./lib/options");
 var PageRenderer = require("./lib/page");
+var pdf = require("./lib/pdf");
+var PreviewServer = require("./lib/server");
 var ReadAndRender = require("./lib/read-and-render");
+var RenderPool = require("./lib/pool");
+var Schema = require("./lib/schema");
+var spreadsheet = require("./lib/spreadsheet");
 var SvgHolder = require("./lib/svg");
+var tts = require("./lib/tts");
 var utils = require("./lib/utils");
 var rasterize = require("./lib/rasterize");
 
@@ -15,11 +26,39 @@ module.exports = {
 	CardRenderer,
 	CcsbReader,
 	csv,
+	Deck,
 	defaults,
+	DiskCache,
+	json,
 	OptionsParser,
 	PageRenderer,
+	pdf,
+	PreviewServer,
 	ReadAndRender,
+	RenderPool,
+	Schema,
+	spreadsheet,
 	SvgHolder,
+	tts,
 	utils,
-	rasterize
+	rasterize,
+
+	// Promise-based API: see lib/api.js
+	load: api.load,
+	render: api.render,
+	renderImages: api.renderImages,
+	renderAll: api.renderAll,
+	validate: api.validate,
+	pack: api.pack,
+	unpack: api.unpack,
+	openDeck: api.openDeck,
+	saveDeck: api.saveDeck,
+
+	// Error classes of the promise-based API: see lib/errors.js
+	CardCreatrError: errors.CardCreatrError,
+	ArgumentError: errors.ArgumentError,
+	ConfigError: errors.ConfigError,
+	LoadError: errors.LoadError,
+	RenderError: errors.RenderError,
+	ProblemsError: errors.ProblemsError
 };
@@ -0,0 +1,265 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* api.js
+ *
+ * This file contains the promise-based library API, for use with async/await:
+ *
+ *   const cardCreatr = require("card-creatr");
+ *   const pdfBuffer = await cardCreatr.render({ input: "deck.ccsb", page: 1, format: "pdf" });
+ *
+ * Every function returns a Promise, and every problem is reported by rejecting it with one of the error classes in errors.js, never by throwing or by a callback.  The functions that read a deck take these options:
+ *
+ *   input      Path to a *.ccsb bundle or a JSON/HJSON config file.
+ *   template   Path to the template, if the config file does not give one.
+ *   data       Path to the card data, if the config file does not give one.
+ *   query      The cards to render, as { id, title, where }, like the command-line options of the same names.
+ *   locale     The name of a locale in the "locales" config.
+ *   options    Values that override those in the config file, like { layoutStrategy: "evenSpacing" }.
+ *   jobs       The number of worker threads to render the cards in, for large decks; see pool.js.  Defaults to 1, which renders the cards without worker threads.  The threads are stopped when each call settles.
+ *   cache      true, or the path of a directory, to keep the rendered cards on disk and reuse them in later calls until they change; see cache.js.  Defaults to false.
+ *   instance   A deck returned by load(), instead of all of the above, to render a deck several times while loading it only once.
+ *
+ * The callback-based classes, like ReadAndRender and CcsbReader, are still available for finer control.
+ */
+
+"use strict";
+
+const CcsbReader = require("./ccsb");
+const Deck = require("./deck");
+const DiskCache = require("./cache");
+const errors = require("./errors");
+const ReadAndRender = require("./read-and-render");
+const RenderPool = require("./pool");
+
+const FORMATS = ["svg", "png", "pdf"];
+
+// Page numbers passed to ReadAndRender#runImages() for each type of renderImages().
+const IMAGE_PAGES = {
+	cards: -1,
+	pages: -2,
+	frontback: -3,
+	backs: -4
+};
+
+/** Rejects with errors that are not already from this API wrapped in the given class. */
+function rethrowAs(ErrorClass) {
+	return (err) => {
+		throw (err instanceof errors.CardCreatrError) ? err : new ErrorClass(err.message, err);
+	};
+}
+
+/** Calls fn(callback) and returns a Promise for the result, whether fn calls back with an error or throws. */
+function fromCallback(fn) {
+	return new Promise((resolve, reject) => {
+		try {
+			fn((err, result) => {
+				if (err) return reject(err);
+				resolve(result);
+			});
+		} catch(err) {
+			reject(err);
+		}
+	});
+}
+
+// The pools started by load().  Their workers are stopped after each render, since the caller has no other way to stop them; the pool starts new ones if the instance is rendered again.
+const ownPools = new WeakSet();
+
+/** Like fromCallback(), but first renders the cards in the worker threads of the instance, if it has any. */
+function fromPrerendered(inst, fn) {
+	var closePool = () => {
+		if (ownPools.has(inst.renderPool)) inst.renderPool.close();
+	};
+	return fromCallback((next) => {
+		inst.prerender((err) => {
+			if (err) return next(err);
+			fn(next);
+		});
+	}).then((result) => {
+		closePool();
+		return result;
+	}, (err) => {
+		closePool();
+		throw err;
+	});
+}
+
+/** Loads a deck and resolves with it as a ReadAndRender instance, which may be passed as the "instance" option of the other functions. */
+function load(deckOptions) {
+	deckOptions = deckOptions || {};
+	if (deckOptions.instance) return Promise.resolve(deckOptions.instance);
+	if (!deckOptions.input) return Promise.reject(new errors.ArgumentError("The \"input\" option is required"));
+	var overrides = Object.assign({}, deckOptions.options);
+	if (deckOptions.locale) overrides.locale = deckOptions.locale;
+	var inst;
+	return fromCallback((next) => {
+		inst = new ReadAndRender(deckOptions.input, overrides, {
+			"template (path)": deckOptions.template,
+			"data (path)": deckOptions.data,
+			query: deckOptions.query || {}
+		});
+		if (deckOptions.jobs > 1) {
+			let pool = new RenderPool(deckOptions.jobs);
+			ownPools.add(pool);
+			inst.setRenderPool(pool);
+		}
+		if (deckOptions.cache) inst.setDiskCache(new DiskCache((typeof deckOptions.cache === "string") ? deckOptions.cache : null));
+		inst.load(next);
+	}).then(() => {
+		return inst;
+	}, rethrowAs(errors.LoadError));
+}
+
+/** Rejects with a ProblemsError if the "strict" option is set and there are problems in the report. */
+function checkReport(report, strict) {
+	if (strict && report.length > 0) {
+		throw new errors.ProblemsError(report.length + " problem(s) found while rendering", report);
+	}
+}
+
+/**
+ * Renders a single card or page, and resolves with the SVG, PNG, or PDF file as a buffer.  Besides the deck options, the options are:
+ *
+ *   page       The page to render, starting at 1.  Without it, the first card is rendered.
+ *   back       If true, renders the back of the card instead of the front.
+ *   format     "svg" (the default), "png", or "pdf".
+ *   multiples  The number of times to print each card on the pages.  Defaults to 1.
+ *   strict     If true, rejects with a ProblemsError if any problems were found while rendering; see ReadAndRender#getReport().
+ */
+function render(renderOptions) {
+	renderOptions = renderOptions || {};
+	var format = renderOptions.format || "svg";
+	if (FORMATS.indexOf(format) === -1) {
+		return Promise.reject(new errors.ArgumentError("Unknown format \"" + format + "\".  Supported formats: " + FORMATS.join(", ")));
+	}
+	var page = renderOptions.page || (renderOptions.back ? -4 : -1);
+	return load(renderOptions).then((inst) => {
+		return fromPrerendered(inst, (next) => {
+			inst.run(page, renderOptions.multiples || 1, format, next);
+		}).catch(rethrowAs(errors.RenderError)).then((buffer) => {
+			checkReport(inst.getReport(), renderOptions.strict);
+			return buffer;
+		});
+	});
+}
+
+/** Rasterizes every card, page, page with its back page, or card back to a separate PNG, according to the "type" option ("cards", "pages", "frontback", or "backs"), and resolves with a list of { buffer, fields }; see ReadAndRender#runImages().  Takes the same options as render(), except for "page", "back", and "format". */
+function renderImages(renderOptions) {
+	renderOptions = renderOptions || {};
+	if (!(renderOptions.type in IMAGE_PAGES)) {
+		return Promise.reject(new errors.ArgumentError("Unknown type \"" + renderOptions.type + "\".  Supported types: " + Object.keys(IMAGE_PAGES).join(", ")));
+	}
+	return load(renderOptions).then((inst) => {
+		return fromPrerendered(inst, (next) => {
+			inst.runImages(IMAGE_PAGES[renderOptions.type], renderOptions.multiples || 1, next);
+		}).catch(rethrowAs(errors.RenderError)).then((images) => {
+			checkReport(inst.getReport(), renderOptions.strict);
+			return images;
+		});
+	});
+}
+
+/** Renders every card to a separate SVG or PNG file in the "outputDir" directory, and resolves with an object mapping the id of each card to its file name; see ReadAndRender#renderAll() for the "format", "back", "filename", and "index" options.  Also takes the deck options and the "strict" option. */
+function renderAll(renderOptions) {
+	renderOptions = renderOptions || {};
+	if (!renderOptions.outputDir) return Promise.reject(new errors.ArgumentError("The \"outputDir\" option is required"));
+	var format = renderOptions.format || "svg";
+	if (format !== "svg" && format !== "png") {
+		return Promise.reject(new errors.ArgumentError("Unknown format \"" + format + "\".  Supported formats: svg, png"));
+	}
+	return load(renderOptions).then((inst) => {
+		return fromPrerendered(inst, (next) => {
+			inst.renderAll(renderOptions.outputDir, Object.assign({}, renderOptions, { format }), next);
+		}).catch(rethrowAs(errors.RenderError)).then((index) => {
+			checkReport(inst.getReport(), renderOptions.strict);
+			return index;
+		});
+	});
+}
+
+/** Loads a deck without rendering it, and resolves with the problems found, like the fields that have no translation for the locale.  An invalid config file rejects with a ConfigError; with the "strict" option, any problem rejects with a ProblemsError. */
+function validate(deckOptions) {
+	deckOptions = deckOptions || {};
+	return load(deckOptions).then((inst) => {
+		var report = inst.getUntranslated();
+		checkReport(report, deckOptions.strict);
+		return report;
+	});
+}
+
+/** Writes a deck loaded from a config file to the *.ccsb bundle at the "output" path; see ReadAndRender#pack(). */
+function pack(packOptions) {
+	packOptions = packOptions || {};
+	if (!packOptions.output) return Promise.reject(new errors.ArgumentError("The \"output\" option is required"));
+	return load(packOptions).then((inst) => {
+		return fromCallback((next) => {
+			inst.pack(packOptions.output, next);
+		}).catch(rethrowAs(errors.CardCreatrError));
+	});
+}
+
+/** Extracts the *.ccsb bundle at the "input" path into the "outputDir" directory; see CcsbReader#extract(). */
+function unpack(unpackOptions) {
+	unpackOptions = unpackOptions || {};
+	if (!unpackOptions.input || !unpackOptions.outputDir) {
+		return Promise.reject(new errors.ArgumentError("The \"input\" and \"outputDir\" options are required"));
+	}
+	var bundle = new CcsbReader(unpackOptions.input);
+	return fromCallback((next) => {
+		bundle.load(next);
+	}).catch(rethrowAs(errors.LoadError)).then(() => {
+		return fromCallback((next) => {
+			bundle.extract(unpackOptions.outputDir, next);
+		}).catch(rethrowAs(errors.CardCreatrError));
+	});
+}
+
+/** Opens the *.ccsb bundle at the "input" path for editing, or creates a new one if "input" is null, and resolves with a Deck; see deck.js. */
+function openDeck(deckOptions) {
+	deckOptions = deckOptions || {};
+	if (typeof deckOptions.input === "undefined") return Promise.reject(new errors.ArgumentError("The \"input\" option is required"));
+	var deck = new Deck(deckOptions.input);
+	return fromCallback((next) => {
+		deck.open(next);
+	}).then(() => {
+		return deck;
+	}, rethrowAs(errors.LoadError));
+}
+
+/** Saves the changes to the Deck in the "deck" option, to the "output" path if it is given, and otherwise to the path it was opened from. */
+function saveDeck(saveOptions) {
+	saveOptions = saveOptions || {};
+	if (!saveOptions.deck) return Promise.reject(new errors.ArgumentError("The \"deck\" option is required"));
+	if (saveOptions.output) saveOptions.deck.setPath(saveOptions.output);
+	return fromCallback((next) => {
+		saveOptions.deck.save(next);
+	}).catch(rethrowAs(errors.CardCreatrError));
+}
+
+module.exports = {
+	load,
+	render,
+	renderImages,
+	renderAll,
+	validate,
+	pack,
+	unpack,
+	openDeck,
+	saveDeck
+};
@@ -0,0 +1,117 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* cache.js
+ *
+ * DiskCache: Keeps the renderings of cards in files, so that later runs, for example exporting the deck again after changing one row of the data, render only the cards that changed.  Each rendering is stored under a key hashing everything that it depends on:
+ *
+ *   - the version of card-creatr,
+ *   - the source of the compiled template, which includes mixins.pug,
+ *   - the global options, including the contents of the fonts and assets,
+ *   - the viewport, and
+ *   - the field values of the card, including the contents of its images.
+ *
+ * So a change to any of them, including upgrading card-creatr, results in a different key, and entries are never out of date; they are only left unused.  clean() removes all of them.
+ *
+ * The cache is in the "card-creatr" directory of the user's cache directory by default.  Problems reading or writing it are not errors: the card is rendered as if it were not cached.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const log = require("./logger")("cache");
+const os = require("os");
+const path = require("path");
+const utils = require("./utils");
+const VERSION = require("../package.json").version;
+
+/** Returns the SHA-256 hash of a value like the result of Options#toObject().  Buffers are hashed by their contents.  Data URIs, which repeat the contents of buffers, "_dirname" values, and objects made by classes, like the WordWrappr of a font, which are made from buffers, are left out. */
+function hashValue(value) {
+	var string = JSON.stringify(value, function(key, jsonValue) {
+		// JSON.stringify has already converted buffers with toJSON(), so look at the original value.
+		var original = this[key];
+		if (key === "_dirname" || key === "dataUri") return undefined;
+		if (Buffer.isBuffer(original)) return "buffer:" + crypto.createHash("sha256").update(original).digest("hex");
+		if (original && typeof original === "object" && !Array.isArray(original)) {
+			let prototype = Object.getPrototypeOf(original);
+			if (prototype !== Object.prototype && prototype !== null) return undefined;
+		}
+		return jsonValue;
+	});
+	return crypto.createHash("sha256").update(string || "").digest("hex");
+}
+
+/** Returns $XDG_CACHE_HOME/card-creatr, or ~/.cache/card-creatr. */
+function getDefaultDir() {
+	return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "card-creatr");
+}
+
+class DiskCache {
+	constructor(dir) {
+		this.dir = dir || getDefaultDir();
+	}
+
+	/** Returns the key for a list of strings, such as hashes from hashValue(). */
+	getKey(parts) {
+		return crypto.createHash("sha256").update([VERSION].concat(parts).join("\n")).digest("hex");
+	}
+
+	/** Returns the entry stored under the key, or null if there is none. */
+	get(key) {
+		var buffer;
+		try {
+			buffer = fs.readFileSync(this._getPath(key));
+		} catch(err) {
+			return null;
+		}
+		try {
+			return JSON.parse(buffer.toString("utf-8"));
+		} catch(err) {
+			log.trace("get", key, err.message);
+			return null;
+		}
+	}
+
+	/** Stores an entry, which must be JSON, under the key. */
+	set(key, entry) {
+		var filename = this._getPath(key);
+		try {
+			fs.mkdirSync(path.dirname(filename), { recursive: true });
+			utils.writeFileAtomicSync(filename, Buffer.from(JSON.stringify(entry), "utf-8"));
+		} catch(err) {
+			log.trace("set", key, err.message);
+		}
+	}
+
+	/** Removes every entry, for every version of card-creatr. */
+	clean(next) {
+		fs.rm(this.dir, { recursive: true, force: true }, (err) => {
+			next(err || null);
+		});
+	}
+
+	_getPath(key) {
+		return path.join(this.dir, key.substr(0, 2), key + ".json");
+	}
+}
+
+DiskCache.hashValue = hashValue;
+DiskCache.getDefaultDir = getDefaultDir;
+
+module.exports = DiskCache;
@@ -21,9 +21,12 @@ const async = require("async");
 const defaults = require("./defaults");
 const log = require("../lib/logger")("ccsb");
 const fs = require("fs");
+const hjson = require("hjson");
 const JSZip = require("jszip");
 const mime = require("mime");
+const Options = require("./options");
 const Path = require("path");
+const utils = require("./utils");
 const uuid = require("uuid");
 
 class CcsbReader {
@@ -110,6 +113,7 @@ class CcsbReader {
 			if (file.name === CcsbReader.CONFIG_PATH) return false;
 			if (file.name === CcsbReader.TEMPLATE_PATH) return false;
 			if (file.name === CcsbReader.JSON_PATH) return false;
+			if (file.name === CcsbReader.BACK_PATH) return false;
 			if (file.name.substr(0, 9) === "__MACOSX/") return false;
 			if (file.dir) return false;
 			return predicate(file.name);
@@ -141,19 +145,86 @@ class CcsbReader {
 		this.zip.remove(path);
 	}
 
+	/**
+	 * Writes the files in the bundle to a directory, which is created if needed.  Existing files are not overwritten.
+	 *
+	 * A bundle finds its template, data, and back template by name, and its fonts in fields.json, so the config file is changed to list them, as a config file outside a bundle must.  Its comments are kept.
+	 */
+	extract(dirname, next) {
+		var names = [CcsbReader.CONFIG_PATH, CcsbReader.TEMPLATE_PATH, CcsbReader.DATA_PATH, CcsbReader.JSON_PATH, CcsbReader.BACK_PATH].filter((name) => {
+			return this.containsFile(name);
+		}).concat(this.listAllAssets((name) => { return Path.basename(name) !== ".DS_Store"; }));
+		async.eachSeries(names, (name, _next) => {
+			async.waterfall([
+				(__next) => {
+					this.readFile(name, __next);
+				},
+				(buffer, __next) => {
+					if (name === CcsbReader.CONFIG_PATH) {
+						this._unbundleConfig(buffer, __next);
+					} else {
+						__next(null, buffer);
+					}
+				},
+				(buffer, __next) => {
+					let filename = Path.join(dirname, name);
+					fs.mkdirSync(Path.dirname(filename), { recursive: true });
+					fs.writeFile(filename, buffer, { flag: "wx" }, __next);
+				}
+			], _next);
+		}, next);
+	}
+
+	_unbundleConfig(configBuffer, next) {
+		this.readFile(CcsbReader.JSON_PATH, (err, jsonBuffer) => {
+			var config, jsonObj;
+			try {
+				config = hjson.rt.parse(configBuffer.toString("utf-8"));
+				jsonObj = err ? {} : JSON.parse(jsonBuffer.toString("utf-8"));
+			} catch(err) {
+				return next(err);
+			}
+			var hasField = (obj, name) => {
+				return Object.keys(obj).some((key) => { return Options.parseFieldKey(key).name === name; });
+			};
+			if (!hasField(config, "template")) config["template (path)"] = CcsbReader.TEMPLATE_PATH;
+			if (!hasField(config, "data")) config["data (path)"] = CcsbReader.DATA_PATH;
+			if (!hasField(config, "back") && this.containsFile(CcsbReader.BACK_PATH)) config["back (path)"] = CcsbReader.BACK_PATH;
+			for (let fontInfo of (jsonObj.fonts || [])) {
+				if (!fontInfo.filename) continue;
+				config.fonts = config.fonts || {};
+				if (!hasField(config.fonts, fontInfo.name)) config.fonts[fontInfo.name + " (font)"] = fontInfo.filename;
+			}
+			next(null, Buffer.from(hjson.rt.stringify(config, { space: "\t", quotes: "strings" }) + "\n", "utf-8"));
+		});
+	}
+
+	/** Writes the bundle to a temporary file next to it, and then replaces the bundle with it, so that the bundle is never left half-written. */
 	save(next) {
 		if (!this.path) throw new Error("No path specified for zip file");
-		this.zip
-			.generateNodeStream({ type:"nodebuffer", streamFiles:true })
-			.pipe(fs.createWriteStream(this.path))
-			.on("finish", next);
+		this.zip.generateAsync({ type: "nodebuffer", streamFiles: true }).then((buffer) => {
+			utils.writeFileAtomic(this.path, buffer, next);
+		}, next);
+	}
+}
+
+/** Returns the fonts listed in fields.json, which bundles use instead of the "fonts" section of the config file, as a config "fonts" section like { "title (font)": "fonts/title.ttf" }. */
+function getFontsConfig(jsonObj) {
+	var result = {};
+	for (let fontInfo of (jsonObj.fonts || [])) {
+		result[fontInfo.name + " (font)"] = fontInfo.filename;
 	}
+	return result;
 }
 
 CcsbReader.DATA_PATH = "cards.csv";
 CcsbReader.CONFIG_PATH = "config.hjson";
 CcsbReader.TEMPLATE_PATH = "template.pug";
+// Optional template for the card backs
+CcsbReader.BACK_PATH = "back.pug";
 // "fields.json" for historical reasons
 CcsbReader.JSON_PATH = "fields.json";
 
+CcsbReader.getFontsConfig = getFontsConfig;
+
 module.exports = CcsbReader;
@@ -33,13 +33,7 @@ function csvBufferToObjects(buffer, next) {
 			csvParse(buffer.toString("utf-8"), CSV_PARSER_OPTIONS, _next);
 		},
 		(csvRows, parserInfo, _next) => {
-			let objects = [];
-			utils.csvToObjects(csvRows).forEach((obj, i) => {
-				if (typeof obj.id === "undefined") {
-					obj.id = "id" + (1e6 + i);
-				}
-				objects.push(obj);
-			});
+			let objects = utils.addDefaultIds(utils.csvToObjects(csvRows));
 			_next(null, objects);
 		}
 	], next);
@@ -47,14 +41,19 @@ function csvBufferToObjects(buffer, next) {
 
 function csvBufferToObjectsSync(buffer) {
 	var csvRows = csvParseSync(buffer.toString("utf-8"), CSV_PARSER_OPTIONS);
-	var objects = [];
-	utils.csvToObjects(csvRows).forEach((obj, i) => {
-		if (typeof obj.id === "undefined") {
-			obj.id = "id" + (1e6 + i);
+	return utils.addDefaultIds(utils.csvToObjects(csvRows));
+}
+
+/** Like csvBufferToObjects, but without default ids for rows that have none, so that the rows can be edited and written back as they were; see deck.js. */
+function csvBufferToRawObjects(buffer, next) {
+	async.waterfall([
+		(_next) => {
+			csvParse(buffer.toString("utf-8"), CSV_PARSER_OPTIONS, _next);
+		},
+		(csvRows, parserInfo, _next) => {
+			_next(null, utils.csvToObjects(csvRows));
 		}
-		objects.push(obj);
-	});
-	return objects;
+	], next);
 }
 
 function objectsToCsvBuffer(objects, next) {
@@ -73,5 +72,6 @@ function objectsToCsvBuffer(objects, next) {
 module.exports = {
 	csvBufferToObjects,
 	csvBufferToObjectsSync,
+	csvBufferToRawObjects,
 	objectsToCsvBuffer
 };
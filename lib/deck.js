@@ -0,0 +1,398 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* deck.js
+ *
+ * Deck: Opens a *.ccsb bundle for editing, for example by a script that changes many cards at once, and saves it again.  Nothing is written until save().
+ *
+ * The cards are objects keyed by field name, like { id: "c1", title: "Banker", image: "images/bank.jpg", body: ["Gain $2 from the bank.", ""] }.  The values are typed according to the properties of each column of the data: "uint" and "number" fields are numbers, or null if they are empty; array fields are arrays; other fields are strings, including "img", "path", and "font" fields, which name files in the bundle.  Values in the data that are not valid numbers are returned as they are.  Cards are found by their id.  If the data has no "id" column, the cards get the same default ids as when rendering, like "id1000000", which are not saved.
+ *
+ * Every change is checked against the fields in fields.json and the files in the bundle, and a change with problems throws an ArgumentError listing all of them, leaving the deck unchanged.
+ *
+ * Only the values that were changed are written again, and the data and fields.json only if they changed, so that the rest of the bundle is saved exactly as it was.  The bundle is saved atomically; see CcsbReader#save().
+ */
+
+"use strict";
+
+const async = require("async");
+const CcsbReader = require("./ccsb");
+const csv = require("./csv");
+const defaults = require("./defaults");
+const errors = require("./errors");
+const mime = require("mime");
+const Options = require("./options");
+const utils = require("./utils");
+
+// The files of a bundle that are not assets
+const RESERVED_PATHS = [CcsbReader.CONFIG_PATH, CcsbReader.TEMPLATE_PATH, CcsbReader.DATA_PATH, CcsbReader.JSON_PATH, CcsbReader.BACK_PATH];
+
+/** Returns a column of the data, { key, name, properties, array }, for a key like "image (img,path)". */
+function makeColumn(key) {
+	return Object.assign({ key }, Options.parseFieldKey(key));
+}
+
+function isFileColumn(column) {
+	return !!(column.properties.img || column.properties.path || column.properties.font);
+}
+
+function parseScalar(column, value) {
+	if (column.properties.uint || column.properties.number) {
+		if (value == null || String(value).trim() === "") return null;
+		let number = column.properties.uint ? parseInt(value) : parseFloat(value);
+		return isNaN(number) ? value : number;
+	}
+	return (value == null) ? "" : String(value);
+}
+
+/** Converts a value from the data to the type of the column. */
+function parseValue(column, value) {
+	if (column.array) {
+		if (value == null) return [];
+		return ((value instanceof Array) ? value : [value]).map((item) => { return parseScalar(column, item); });
+	}
+	return parseScalar(column, value);
+}
+
+/** Converts a typed value back to the form of the data. */
+function serializeValue(column, value) {
+	if (column.array) return value.map((item) => { return serializeValue(Object.assign({}, column, { array: false }), item); });
+	return (value == null) ? "" : String(value);
+}
+
+class Deck {
+	constructor(path) {
+		this.path = path;
+		this.bundle = new CcsbReader(path);
+		this.json = null;
+		this.columns = null;
+		this.rows = null;
+		this.ids = null;
+		this.hasIdColumn = false;
+		this.dataChanged = false;
+		this.jsonChanged = false;
+	}
+
+	setPath(path) {
+		this.path = path;
+		this.bundle.setPath(path);
+	}
+
+	/** Opens the bundle, or, if the path is null, creates a new one, like CcsbReader#load(). */
+	open(next) {
+		async.auto({
+			"bundle": (_next) => {
+				this.bundle.load(_next);
+			},
+			"data": ["bundle", (results, _next) => {
+				this.bundle.readFile(CcsbReader.DATA_PATH, _next);
+			}],
+			"rows": ["data", (results, _next) => {
+				csv.csvBufferToRawObjects(results.data, _next);
+			}],
+			"json": ["bundle", (results, _next) => {
+				if (!this.bundle.containsFile(CcsbReader.JSON_PATH)) return _next(null, { fields: [] });
+				this.bundle.readFile(CcsbReader.JSON_PATH, (err, buffer) => {
+					if (err) return _next(err);
+					try {
+						_next(null, JSON.parse(buffer.toString("utf-8")));
+					} catch(err) {
+						_next(new Error("Cannot parse " + CcsbReader.JSON_PATH + ": " + err.message));
+					}
+				});
+			}]
+		}, (err, results) => {
+			if (err) return next(err);
+			this.json = results.json;
+			this.json.fields = this.json.fields || [];
+			// The columns of the data come first, in order, followed by the fields that are not in the data yet.
+			var keys = results.rows.length > 0 ? Object.keys(results.rows[0]) : [];
+			for (let field of this.json.fields) {
+				if (!keys.some((key) => { return Options.parseFieldKey(key).name === field.name; })) {
+					keys.push(utils.serializeFieldKey(field));
+				}
+			}
+			try {
+				this.columns = keys.map(makeColumn);
+			} catch(err) {
+				return next(err);
+			}
+			this.hasIdColumn = this.columns.some((column) => { return column.name === "id"; });
+			this.rows = results.rows;
+			this.ids = this.rows.map((row, i) => { return this.hasIdColumn ? String(row[this._getColumn("id").key]) : "id" + (1e6 + i); });
+			this.dataChanged = false;
+			this.jsonChanged = false;
+			next(null);
+		});
+	}
+
+	/** Returns the fields in fields.json, with the default values of the properties they leave out; see defaults.getBaseField(). */
+	getFields() {
+		return this.json.fields.map((field) => { return Object.assign(defaults.getBaseField(), field); });
+	}
+
+	/** Returns the fonts in fields.json, with the default values of the properties they leave out; see defaults.getBaseFontInfo(). */
+	getFonts() {
+		return (this.json.fonts || []).map((fontInfo) => { return Object.assign(defaults.getBaseFontInfo(), fontInfo); });
+	}
+
+	/** Adds a field to fields.json, and a column to the data.  The field is an object like those of getFields(), of which only "name" is required. */
+	addField(field) {
+		var problems = [];
+		field = Object.assign(defaults.getBaseField(), field);
+		if (typeof field.name !== "string" || !/^\w+$/.test(field.name)) {
+			problems.push("the name of a field must be made of letters, digits, and underscores");
+		} else if (this._getColumn(field.name)) {
+			problems.push("there is already a field named \"" + field.name + "\"");
+		}
+		if (!(field.properties instanceof Array) || field.properties.some((property) => { return typeof property !== "string" || !/^\w+$/.test(property); })) {
+			problems.push("the properties of a field must be a list of names, like [\"img\", \"path\"]");
+		}
+		if (problems.length > 0) throw new errors.ArgumentError("Invalid field: " + problems.join("; "));
+		this.json.fields.push(field);
+		this.columns.push(makeColumn(utils.serializeFieldKey(field)));
+		this.jsonChanged = true;
+		this.dataChanged = true;
+		return Object.assign({}, field);
+	}
+
+	/** Returns every card, in order, as a new object. */
+	getCards() {
+		return this.rows.map((row, i) => { return this._toCard(i); });
+	}
+
+	/** Returns the card with the given id, or null if there is none. */
+	getCard(id) {
+		var index = this.ids.indexOf(String(id));
+		return (index === -1) ? null : this._toCard(index);
+	}
+
+	/** Adds a card after the last one, and returns it.  Fields left out are empty.  If the id is left out, a new one is made, like "id1000003". */
+	addCard(values) {
+		values = Object.assign({}, values);
+		var id = values.id;
+		if (id == null) {
+			let n = this.rows.length;
+			while (this.ids.indexOf("id" + (1e6 + n)) !== -1) n++;
+			id = "id" + (1e6 + n);
+			// Without an "id" column, the new id is not saved.
+			if (this.hasIdColumn) values.id = id;
+			else delete values.id;
+		}
+		var row = {};
+		for (let column of this.columns) {
+			row[column.key] = column.array ? [] : "";
+		}
+		this._applyValues(row, values, null);
+		this.rows.push(row);
+		this.ids.push(String(id));
+		this.dataChanged = true;
+		return this._toCard(this.rows.length - 1);
+	}
+
+	/** Changes the given fields of the card with the given id, including its id, and returns the card. */
+	updateCard(id, values) {
+		var index = this._getIndex(id);
+		var row = Object.assign({}, this.rows[index]);
+		this._applyValues(row, values, index);
+		this.rows[index] = row;
+		if (typeof values.id !== "undefined") this.ids[index] = String(values.id);
+		this.dataChanged = true;
+		return this._toCard(index);
+	}
+
+	/** Removes the card with the given id. */
+	deleteCard(id) {
+		var index = this._getIndex(id);
+		this.rows.splice(index, 1);
+		this.ids.splice(index, 1);
+		this.dataChanged = true;
+	}
+
+	/** Returns the assets in the bundle, such as images and fonts, as objects { path, mimeType }. */
+	getAssets() {
+		return this.bundle.listAllAssets().map((path) => {
+			return { path, mimeType: mime.lookup(path) };
+		});
+	}
+
+	/** Calls back with the contents of an asset as a buffer. */
+	readAsset(path, next) {
+		if (!this._isAsset(path)) return next(new errors.ArgumentError("No asset named \"" + path + "\""));
+		this.bundle.readFile(path, next);
+	}
+
+	/** Adds an asset at a path like "images/bank.jpg", which must not exist yet. */
+	addAsset(path, buffer) {
+		this._checkAssetPath(path);
+		if (this.bundle.containsFile(path)) throw new errors.ArgumentError("There is already a file named \"" + path + "\"");
+		this.bundle.writeFile(path, buffer);
+	}
+
+	/** Replaces the contents of an existing asset. */
+	updateAsset(path, buffer) {
+		if (!this._isAsset(path)) throw new errors.ArgumentError("No asset named \"" + path + "\"");
+		this.bundle.writeFile(path, buffer);
+	}
+
+	/** Removes an asset, which must not be used by any card or font. */
+	deleteAsset(path) {
+		if (!this._isAsset(path)) throw new errors.ArgumentError("No asset named \"" + path + "\"");
+		var users = [];
+		this.rows.forEach((row, i) => {
+			for (let column of this.columns.filter(isFileColumn)) {
+				if ([].concat(row[column.key]).indexOf(path) !== -1) users.push("card \"" + this.ids[i] + "\"");
+			}
+		});
+		for (let fontInfo of this.getFonts()) {
+			if (fontInfo.filename === path) users.push("font \"" + fontInfo.name + "\"");
+		}
+		if (users.length > 0) {
+			throw new errors.ArgumentError("Cannot remove \"" + path + "\", which is used by " + users.join(", "));
+		}
+		this.bundle.removeFile(path);
+	}
+
+	/** Writes the changes to the bundle at the path of the deck; see setPath(). */
+	save(next) {
+		if (!this.path) return next(new Error("No path specified for the deck"));
+		async.series([
+			(_next) => {
+				if (!this.dataChanged) return _next(null);
+				csv.objectsToCsvBuffer(this._getCsvObjects(), (err, buffer) => {
+					if (err) return _next(err);
+					this.bundle.writeFile(CcsbReader.DATA_PATH, buffer);
+					_next(null);
+				});
+			},
+			(_next) => {
+				if (this.jsonChanged) this.bundle.writeFile(CcsbReader.JSON_PATH, JSON.stringify(this.json));
+				this.bundle.save(_next);
+			}
+		], (err) => {
+			if (err) return next(err);
+			this.dataChanged = false;
+			this.jsonChanged = false;
+			next(null);
+		});
+	}
+
+	_getColumn(name) {
+		return this.columns.find((column) => { return column.name === name; }) || null;
+	}
+
+	_getIndex(id) {
+		var index = this.ids.indexOf(String(id));
+		if (index === -1) throw new errors.ArgumentError("No card with id \"" + id + "\"");
+		return index;
+	}
+
+	_toCard(index) {
+		var card = {};
+		for (let column of this.columns) {
+			if (column.name !== "id") card[column.name] = parseValue(column, this.rows[index][column.key]);
+		}
+		return Object.assign({ id: this.ids[index] }, card);
+	}
+
+	/** Checks the values of a card against the fields and the files in the bundle, and throws an ArgumentError listing the problems, if any.  index is the index of the card being updated, or null for a new card. */
+	_checkValues(values, index) {
+		var problems = [];
+		for (let name of Object.keys(values)) {
+			let value = values[name];
+			if (typeof value === "undefined") continue;
+			let column = this._getColumn(name);
+			if (name === "id") {
+				if (!this.hasIdColumn) {
+					problems.push("the data has no \"id\" column, so the ids of the cards cannot be set");
+				} else if (typeof value !== "string" || value === "") {
+					problems.push("the id must be a non-empty string");
+				} else if (this.ids.some((id, i) => { return id === value && i !== index; })) {
+					problems.push("there is already a card with id \"" + value + "\"");
+				}
+				continue;
+			}
+			if (!column) {
+				problems.push("unknown field \"" + name + "\"; add it to " + CcsbReader.JSON_PATH + " with addField() first");
+				continue;
+			}
+			if (column.array && !(value instanceof Array)) {
+				problems.push("field \"" + name + "\" must be a list");
+				continue;
+			}
+			for (let item of [].concat(value)) {
+				let problem = this._checkScalar(column, item);
+				if (problem) problems.push("field \"" + name + "\" " + problem);
+			}
+		}
+		if (problems.length > 0) throw new errors.ArgumentError("Invalid card: " + problems.join("; "));
+	}
+
+	/** Returns the problem with a single value of a column, or null if there is none. */
+	_checkScalar(column, value) {
+		if (column.properties.uint) {
+			return (value === null || (Number.isInteger(value) && value >= 0)) ? null : "must be a whole number of at least 0, or null";
+		}
+		if (column.properties.number) {
+			return (value === null || (typeof value === "number" && isFinite(value))) ? null : "must be a number, or null";
+		}
+		if (typeof value !== "string") {
+			return "must be a string";
+		}
+		if (isFileColumn(column) && value !== "" && !this._isAsset(value)) {
+			return "refers to \"" + value + "\", which is not a file in the bundle; add it with addAsset() first";
+		}
+		return null;
+	}
+
+	/** Checks the values, and then sets them in the row. */
+	_applyValues(row, values, index) {
+		this._checkValues(values, index);
+		for (let name of Object.keys(values)) {
+			if (typeof values[name] === "undefined") continue;
+			if (name === "id" && !this.hasIdColumn) continue;
+			let column = this._getColumn(name);
+			row[column.key] = serializeValue(column, values[name]);
+		}
+	}
+
+	/** Returns the rows with every column, in order, for csv.objectsToCsvBuffer(). */
+	_getCsvObjects() {
+		return this.rows.map((row) => {
+			let result = {};
+			for (let column of this.columns) {
+				result[column.key] = (typeof row[column.key] === "undefined") ? (column.array ? [] : "") : row[column.key];
+			}
+			return result;
+		});
+	}
+
+	_isAsset(path) {
+		return typeof path === "string" && RESERVED_PATHS.indexOf(path) === -1 && this.bundle.containsFile(path);
+	}
+
+	_checkAssetPath(path) {
+		if (typeof path !== "string" || path === "" || path[0] === "/" || path.indexOf("\\") !== -1 || path.split("/").some((part) => { return part === "" || part === "." || part === ".."; })) {
+			throw new errors.ArgumentError("Invalid asset path \"" + path + "\": use a relative path like \"images/card.png\"");
+		}
+		if (RESERVED_PATHS.indexOf(path) !== -1) {
+			throw new errors.ArgumentError("\"" + path + "\" is not an asset, but part of the bundle");
+		}
+	}
+}
+
+module.exports = Deck;
@@ -57,6 +57,11 @@ function getDefaultTemplate() {
 `;
 }
 
+/** Card data for new decks created with "card-creatr new", so that they have a card to render right away. */
+function getSampleData() {
+	return "qty,title\n1,My First Card\n";
+}
+
 function getDefaultConfig() {
 	return `{
 	// ASSETS:
@@ -83,6 +88,9 @@ function getDefaultConfig() {
 			height: 252
 			xOffset: 0
 			yOffset: 0
+
+			// Extra margin drawn beyond the cut line on each side of the card, for professional printing.  Templates can use the "_bleed" variable to extend backgrounds into this area.  Defaults to zero.
+			bleed: 0
 		}
 		page: {
 			width: 612
@@ -92,6 +100,12 @@ function getDefaultConfig() {
 
 			// Minimum print margin.  Defaults to zero.  Increase this to prevent cards from being placed too close to the edge of the page.
 			printMargin: 0
+
+			// Bleed in page coordinates.  This must match the card bleed above, scaled to the page coordinates: the card bleed times cardWidth divided by the card width.
+			bleed: 0
+
+			// Set to true to draw crop marks in the page margin, lined up with the cut lines of the cards.
+			cropMarks: false
 		}
 	}
 
@@ -127,7 +141,7 @@ function getDefaultConfig() {
 	}
 
 	// FONT RENDER MODE:
-	// Whether text should be converted to SVG paths before output.  Converting text to SVG paths sometimes eliminates strange behaviors in the operating system's font rendering engine.  Note that emoji and some Indic scripts are *not* supported in SVG path mode.  This only affects text boxes created using the +text or +textWrap mixins.
+	// Whether text should be converted to SVG paths before output.  Converting text to SVG paths sometimes eliminates strange behaviors in the operating system's font rendering engine.  In SVG path mode, text in right-to-left and complex scripts, like Arabic, Hebrew, and Devanagari, is shaped with the OpenType features of the font; emoji are drawn only if the font has outlines for them.  This only affects text boxes created using the +text or +textWrap mixins.
 	// Options are "auto" (default) or "paths" (convert text to SVG paths)
 	fontRenderMode: "auto"
 }
@@ -139,5 +153,6 @@ module.exports = {
 	getBaseFontInfo,
 	getDefaultFields,
 	getDefaultTemplate,
+	getSampleData,
 	getDefaultConfig
 };
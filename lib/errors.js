@@ -0,0 +1,69 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* errors.js
+ *
+ * This file contains the error classes of the promise-based API in api.js.  Every error from that API is an instance of CardCreatrError, so that callers can tell them apart from their own errors, and of one of its subclasses, which tell what went wrong:
+ *
+ *   ArgumentError   The options passed to the API are invalid, for example an unknown format.
+ *   ConfigError     The config file does not match the schema.  The "errors" property lists every problem, as { path, location, message }; see schema.js.
+ *   LoadError       The deck could not be loaded, for example because a file is missing or the template does not compile.
+ *   RenderError     The deck was loaded, but could not be rendered or rasterized.
+ *   ProblemsError   Problems were found while rendering, and the "strict" option was set.  The "report" property lists them; see ReadAndRender#getReport().
+ *
+ * Errors caused by another error, such as a file system error, keep it in the "cause" property.
+ */
+
+"use strict";
+
+class CardCreatrError extends Error {
+	constructor(message, cause) {
+		super(message);
+		this.name = this.constructor.name;
+		if (cause) this.cause = cause;
+	}
+}
+
+class ArgumentError extends CardCreatrError {}
+
+class ConfigError extends CardCreatrError {
+	constructor(message, errors) {
+		super(message);
+		this.errors = errors;
+	}
+}
+
+class LoadError extends CardCreatrError {}
+
+class RenderError extends CardCreatrError {}
+
+class ProblemsError extends CardCreatrError {
+	constructor(message, report) {
+		super(message);
+		this.report = report;
+	}
+}
+
+module.exports = {
+	CardCreatrError,
+	ArgumentError,
+	ConfigError,
+	LoadError,
+	RenderError,
+	ProblemsError
+};
@@ -0,0 +1,101 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* fontchain.js
+ *
+ * This file contains FontChain, which stands in for a WordWrappr when a font in the config file is a list of font files, like
+ *
+ *   "body (font)": ["fonts/body.otf", "fonts/symbols.ttf"]
+ *
+ * Each character is drawn and measured with the first font in the list that has a glyph for it, and characters that no font has are drawn with the first font.  FontChain has the same interface as WordWrappr (wrap, computeWidth, and font.getPath, font.ascender, font.descender, and font.unitsPerEm), so the text mixins do not need to know whether a font has fallbacks.  The vertical metrics are those of the first font.
+ *
+ * Kerning is applied within each run of characters from the same font, but not between runs.
+ */
+
+"use strict";
+
+const utils = require("./utils");
+
+class FontChain {
+	constructor(wrapprs) {
+		this.wrapprs = wrapprs;
+		const primary = wrapprs[0].font;
+		this.font = {
+			ascender: primary.ascender,
+			descender: primary.descender,
+			unitsPerEm: primary.unitsPerEm,
+			getPath: this.getPath.bind(this)
+		};
+	}
+
+	/** Splits the text into runs { text, wrappr } of characters from the same font.  Whitespace stays in the run before it. */
+	splitRuns(text) {
+		var runs = [];
+		var run = null;
+		for (let c of Array.from(String(text))) {
+			let wrappr = (run && /\s/.test(c)) ? run.wrappr : this._findWrappr(c);
+			if (run && run.wrappr === wrappr) {
+				run.text += c;
+			} else {
+				run = { text: c, wrappr };
+				runs.push(run);
+			}
+		}
+		return runs;
+	}
+
+	_findWrappr(c) {
+		for (let wrappr of this.wrapprs) {
+			let index = wrappr.font.charToGlyphIndex(c);
+			if (index !== null && index > 0) return wrappr;
+		}
+		return this.wrapprs[0];
+	}
+
+	computeWidth(text, fontSize) {
+		var width = 0;
+		for (let run of this.splitRuns(text)) {
+			width += run.wrappr.computeWidth(run.text, fontSize);
+		}
+		return width;
+	}
+
+	/** Returns an opentype.js Path containing the glyphs of every run. */
+	getPath(text, x, y, fontSize) {
+		var runs = this.splitRuns(text);
+		if (runs.length === 0) {
+			return this.wrapprs[0].font.getPath("", x, y, fontSize);
+		}
+		var path = null;
+		for (let run of runs) {
+			let runPath = run.wrappr.font.getPath(run.text, x, y, fontSize);
+			if (path) {
+				path.commands = path.commands.concat(runPath.commands);
+			} else {
+				path = runPath;
+			}
+			x += run.wrappr.computeWidth(run.text, fontSize);
+		}
+		return path;
+	}
+
+	wrap(text, fontSize, maxWidth) {
+		return utils.wrapWords(text, maxWidth, (string) => { return this.computeWidth(string, fontSize); });
+	}
+}
+
+module.exports = FontChain;
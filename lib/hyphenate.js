@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* hyphenate.js
+ *
+ * This file splits words into syllables for hyphenation in wrapped text, using the TeX hyphenation patterns that ship with the "hyphen" package, so no network access is needed.  The patterns for a language are loaded the first time they are used.
+ */
+
+"use strict";
+
+const SOFT_HYPHEN = "\u00AD";
+
+// Language codes for the "lang" attribute, and the modules containing their patterns.
+const LANGUAGES = {
+	"en": "hyphen/en",
+	"en-us": "hyphen/en-us",
+	"en-gb": "hyphen/en-gb",
+	"de": "hyphen/de",
+	"fr": "hyphen/fr"
+};
+
+const hyphenators = {};
+
+function getHyphenator(lang) {
+	var code = String(lang).toLowerCase().replace("_", "-");
+	if (!(code in LANGUAGES)) {
+		// Fall back from a regional code like "fr-CA" to the language.
+		code = code.split("-")[0];
+	}
+	if (!(code in LANGUAGES)) {
+		throw new Error("Unsupported language for hyphenation: \"" + lang + "\".  Supported languages: " + Object.keys(LANGUAGES).join(", "));
+	}
+	if (!hyphenators[code]) {
+		hyphenators[code] = require(LANGUAGES[code]);
+	}
+	return hyphenators[code];
+}
+
+/** Splits a word into the pieces between which it may be broken.  Joining the pieces gives back the word.  Words that already contain hyphens may also be broken after the hyphens. */
+function syllables(word, lang) {
+	var hyphenated = getHyphenator(lang).hyphenateSync(word, { hyphenChar: SOFT_HYPHEN });
+	var result = [];
+	for (let piece of hyphenated.split(SOFT_HYPHEN)) {
+		let parts = piece.split("-");
+		parts.forEach((part, i) => {
+			if (i < parts.length - 1) part += "-";
+			if (part) result.push(part);
+		});
+	}
+	return result;
+}
+
+module.exports = {
+	LANGUAGES: Object.keys(LANGUAGES),
+	syllables
+};
@@ -0,0 +1,94 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* json.js
+ *
+ * This file reads card data from JSON, HJSON, and YAML files, as an alternative to csv.js.  The file should contain an array of card objects.  Keys follow the same conventions as CSV headers, such as "image (img,path)", and nested objects are available in the template just like nested objects in the config file.
+ */
+
+"use strict";
+
+const hjson = require("hjson");
+const yaml = require("js-yaml");
+const utils = require("./utils");
+
+const PARSERS = {
+	"application/json": (string) => { return JSON.parse(string); },
+	"text/hjson": (string) => { return hjson.parse(string); },
+	"text/yaml": (string) => { return yaml.load(string); }
+};
+
+function isJson(mimeType) {
+	return mimeType in PARSERS;
+}
+
+function jsonBufferToObjectsSync(buffer, mimeType) {
+	if (!isJson(mimeType)) {
+		throw new Error("Unsupported card data file type: " + mimeType);
+	}
+	var objects = PARSERS[mimeType](buffer.toString("utf-8"));
+	if (!(objects instanceof Array)) {
+		throw new Error("Card data file must contain an array of card objects");
+	}
+	objects.forEach((obj, i) => {
+		if (typeof obj !== "object" || obj === null || obj instanceof Array) {
+			throw new Error("Card data file must contain an array of card objects: entry " + i + " is not an object");
+		}
+	});
+	return utils.addDefaultIds(objects);
+}
+
+function jsonBufferToObjects(buffer, mimeType, next) {
+	var objects;
+	try {
+		objects = jsonBufferToObjectsSync(buffer, mimeType);
+	} catch(err) {
+		process.nextTick(() => {
+			next(err);
+		});
+		return;
+	}
+	process.nextTick(() => {
+		next(null, objects);
+	});
+}
+
+function objectsToJsonBuffer(objects, next) {
+	var buffer;
+	try {
+		// Special case for "_dirname" key, created by options.js
+		let string = JSON.stringify(objects, (key, value) => {
+			return (key === "_dirname") ? undefined : value;
+		}, "\t");
+		buffer = Buffer.from(string + "\n", "utf-8");
+	} catch(err) {
+		process.nextTick(() => {
+			next(err);
+		});
+		return;
+	}
+	process.nextTick(() => {
+		next(null, buffer);
+	});
+}
+
+module.exports = {
+	isJson,
+	jsonBufferToObjects,
+	jsonBufferToObjectsSync,
+	objectsToJsonBuffer
+};
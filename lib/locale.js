@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* locale.js
+ *
+ * This file overlays translations onto the rows of card data.  The translations for a locale are in a "strings" file, which is a spreadsheet like the data file: it has an "id" column matching the ids of the cards, and a column for each translated field, such as "title" and "body[]".  Columns are matched to the data by field name, so the properties may be left out of the header.
+ *
+ * indexTranslations: Converts the rows of a strings file into an object { columns, rows }, where columns are the keys of the translated fields and rows maps each card id to its row.
+ *
+ * translateRow: Returns a copy of a row of card data with the translated values in place of the original values, and the names of the fields that have a value in the data but no translation.
+ */
+
+"use strict";
+
+const Options = require("./options");
+
+function indexTranslations(rows) {
+	var columns = [];
+	var byId = {};
+	for (let row of rows) {
+		for (let key of Object.keys(row)) {
+			if (key !== "id" && columns.indexOf(key) === -1) columns.push(key);
+		}
+		byId["" + row.id] = row;
+	}
+	return { columns, rows: byId };
+}
+
+/** Array fields, like "body[]", are empty if all of their entries are empty. */
+function isEmpty(value) {
+	return (value instanceof Array) ? value.every(isEmpty) : (value === null || typeof value === "undefined" || value === "");
+}
+
+function translateRow(row, translations) {
+	var result = Object.assign({}, row);
+	var missing = [];
+	var translation = translations.rows["" + row.id] || {};
+	for (let column of translations.columns) {
+		let name = Options.parseFieldKey(column).name;
+		let key = Object.keys(row).find((key) => { return Options.parseFieldKey(key).name === name; });
+		if (typeof key === "undefined" || isEmpty(row[key])) continue;
+		if (isEmpty(translation[column])) {
+			missing.push(name);
+		} else {
+			result[key] = translation[column];
+		}
+	}
+	return { row: result, missing };
+}
+
+module.exports = {
+	indexTranslations,
+	translateRow
+};
@@ -46,7 +46,7 @@
  *
  * consume and consumeSync: Async and sync versions of the recursive consume function.  These functions take an array of configuration sources, in order from highest priority to lowest priority.  If the same non-consumable (terminal) field is present in multiple source configurations, the value from the first such source is used and the others are ignored.  That value will be passed to processField/processFieldSync.  If a field is consumable, all sources containing an entry for it are recursed.  These functions call convertKeysToFields, getAllFieldNames, and isConsumable.
  *
- * processField and processFieldSync: Async and sync versions of the function that interprets a terminal field value, such as "template" from the example above.  This is the function that performs application logic on the field properties.  If the field has property "path", the data from the file at that path is read into a buffer; if the field has property "img", the dimensions of the image are read; and if the field has property "font", it is read into a WordWrappr instance via opentype.js.
+ * processField and processFieldSync: Async and sync versions of the function that interprets a terminal field value, such as "template" from the example above.  This is the function that performs application logic on the field properties.  If the field has property "path", the data from the file at that path is read into a buffer; if the field has property "img", the dimensions of the image are read; and if the field has property "font", it is read into a WordWrappr instance via opentype.js, wrapped in a ShapingWrappr for complex scripts (see shaping.js).  A font field may also be a list of font files, which are combined into a FontChain (see fontchain.js).
  *
  * class Options: The public interface to this file.  An instance of Options will allow you to add sources to be interpreted, read fields from the configuration, and add callbacks for when fields are available.  Reading fields requires the full field name; for example, "/template" for the top-level field called "template", or "/foo/bar" for the field "bar" nested underneath the field "foo".
  */
@@ -54,10 +54,12 @@
 "use strict";
 
 const async = require("async");
+const FontChain = require("./fontchain");
 const fs = require("fs");
 const imageSize = require("image-size");
 const mime = require("mime");
 const path = require("path");
+const ShapingWrappr = require("./shaping").ShapingWrappr;
 const WordWrappr = require("word-wrappr");
 const utils = require("./utils");
 
@@ -245,6 +247,12 @@ function processFieldSync(field, oldValue, dirname) {
 		// Parse as a number
 		result = parseFloat(newValue);
 
+	} else if (field.properties.font && newValue instanceof Array) {
+		// Font with fallbacks: load each font file, and combine them into a FontChain.
+		result = makeFontChain(newValue.map((value) => {
+			return processFieldSync(Object.assign({}, field, { value }), undefined, dirname);
+		}));
+
 	} else {
 		result = {};
 
@@ -279,6 +287,7 @@ function processFieldSync(field, oldValue, dirname) {
 				if (field.properties.img) {
 					buffer = PLACEHOLDER_PNG;
 					result.mimeType = mime.lookup("placeholder.png");
+					result.placeholder = true;
 				} else {
 					throw new Error("Could not load file: " + result.path + ": file loader function returned null");
 				}
@@ -293,16 +302,28 @@ function processFieldSync(field, oldValue, dirname) {
 			result.dims = imageSize(buffer);
 		}
 
-		// Load WordWrappr if field is a font
+		// Load WordWrappr if field is a font, with shaping for complex scripts
 		if (field.properties.font) {
-			result.wrappr = new WordWrappr(buffer);
-			result.wrappr.loadSync();
+			let wrappr = new WordWrappr(buffer);
+			wrappr.loadSync();
+			result.wrappr = new ShapingWrappr(wrappr, buffer);
 		}
 	}
 
 	return result;
 }
 
+/** Combines the results for the font files of a font with fallbacks.  The result is that of the first font, with a FontChain as its wrappr and the results for the other fonts in "fallbacks". */
+function makeFontChain(fontResults) {
+	if (fontResults.length === 0) {
+		throw new Error("A font with fallbacks needs at least one font file");
+	}
+	return Object.assign({}, fontResults[0], {
+		wrappr: new FontChain(fontResults.map((fontResult) => { return fontResult.wrappr; })),
+		fallbacks: fontResults.slice(1)
+	});
+}
+
 function processField(field, oldValue, dirname, next) {
 	const newValue = field.value;
 	var result;
@@ -327,6 +348,19 @@ function processField(field, oldValue, dirname, next) {
 				process.nextTick(() => {
 					_next(null);
 				});
+			} else if (field.properties.font && newValue instanceof Array) {
+				// Font with fallbacks: load each font file, and combine them into a FontChain.
+				async.mapSeries(newValue, (value, __next) => {
+					processField(Object.assign({}, field, { value }), undefined, dirname, __next);
+				}, (err, fontResults) => {
+					if (err) return _next(err);
+					try {
+						result = makeFontChain(fontResults);
+					} catch(err) {
+						return _next(err);
+					}
+					_next(null);
+				});
 			} else {
 				// The variable "result", the value we will end up saving in the options object, is not to be confused with the variable "results", the object for referencing intermediate results in async.auto.
 				result = {};
@@ -371,6 +405,7 @@ function processField(field, oldValue, dirname, next) {
 						// If file is not found, and the field has the "img" property, fail silently and load the placeholder image instead.
 						if (field.properties.img) {
 							result.mimeType = mime.lookup("placeholder.png");
+							result.placeholder = true;
 							__next(null, PLACEHOLDER_PNG);
 						} else {
 							return __next(err);
@@ -397,11 +432,15 @@ function processField(field, oldValue, dirname, next) {
 						return __next(null);
 					}],
 					"font": ["buffer", (results, __next) => {
-						// Load WordWrappr if field is a font
+						// Load WordWrappr if field is a font, with shaping for complex scripts
 						// process.nextTick() is not necessary because, as of this writing, wrappr.load() has no actual async components.
 						if (field.properties.font) {
-							result.wrappr = new WordWrappr(results.buffer);
-							return result.wrappr.load(__next);
+							let wrappr = new WordWrappr(results.buffer);
+							return wrappr.load((err) => {
+								if (err) return __next(err);
+								result.wrappr = new ShapingWrappr(wrappr, results.buffer);
+								__next(null);
+							});
 						}
 						return __next(null);
 					}]
@@ -424,6 +463,8 @@ class Options {
 		this._overrides = [];
 		this._loaded = {};
 		this._loadedListeners = {};
+		this._schema = null;
+		this._schemaWarnings = [];
 	}
 
 	toObject() {
@@ -464,17 +505,65 @@ class Options {
 		this.addFallback(DEFAULT_OPTIONS, "");
 	}
 
+	/** If a schema (see schema.js) is set, the sources are checked against it when loading, and loading fails with an error listing every problem found. */
+	setSchema(schema) {
+		this._schema = schema;
+	}
+
+	/** The location parameter is an object { filename, text } describing the file from which the source was parsed, used to report the line numbers of invalid fields. */
+	setSourceLocation(source, location) {
+		source._location = location;
+	}
+
+	/** Returns an Error if any source is invalid according to the schema, or null otherwise.  Problems that are only warnings are saved for getSchemaWarnings(). */
+	validateSources() {
+		this._schemaWarnings = [];
+		if (!this._schema) return null;
+		var sources = [].concat(this._overrides, this._sources);
+		var errors = Array.prototype.concat.apply([], sources.map((source) => {
+			return this._schema.validateSource(source, source._location);
+		}));
+		this._schemaWarnings = errors.filter((error) => { return error.warning; });
+		errors = errors.filter((error) => { return !error.warning; });
+		return (errors.length > 0) ? this._schema.makeError(errors) : null;
+	}
+
+	/** Returns the warnings from the most recent schema check, such as likely typos of known fields, in the same form as the errors.  See schema.js. */
+	getSchemaWarnings() {
+		return this._schemaWarnings || [];
+	}
+
+	_validateRequired() {
+		if (!this._schema) return null;
+		var errors = this._schema.validateRequired(this._data);
+		return (errors.length > 0) ? this._schema.makeError(errors) : null;
+	}
+
 	loadSync() {
 		var sources = [].concat(this._overrides, this._sources);
+		var err = this.validateSources();
+		if (err) throw err;
 		consumeSync(this._data, "", sources);
+		err = this._validateRequired();
+		if (err) throw err;
 		return this;
 	}
 
 	load(next) {
 		var sources = [].concat(this._overrides, this._sources);
+		var validationErr = this.validateSources();
+		if (validationErr) {
+			process.nextTick(() => {
+				next(validationErr, this);
+			});
+			return;
+		}
 		consume(this._data, "", sources, this._onLoadedCallback.bind(this), (err) => {
-			// Check for any remaining "onceLoaded" listeners
-			if (this._loadedListeners) {
+			if (!err) {
+				err = this._validateRequired();
+			}
+			// Check for any remaining "onceLoaded" listeners.  If the options are invalid, the listeners are dropped, since they would receive incomplete data.
+			if (this._loadedListeners && !err) {
 				for (let field of Object.keys(this._loadedListeners)) {
 					for (let listener of this._loadedListeners[field]) {
 						listener(null, null);
@@ -511,7 +600,13 @@ class Options {
 }
 
 // Utility functions for export
+/** Returns the absolute paths of the fonts that Card Creatr uses when the config does not set them. */
+function getDefaultFiles() {
+	return Object.keys(DEFAULT_OPTIONS.fonts).map((key) => { return path.resolve(DEFAULT_OPTIONS.fonts[key]); });
+}
+
 Options.parseFieldKey = parseFieldKey;
+Options.getDefaultFiles = getDefaultFiles;
 
 module.exports = Options;
 
@@ -29,8 +29,13 @@ class PageRenderer {
 		// Convenience references
 		let pageWidth = viewport.width - 2*viewport.printMargin;
 		let pageHeight = viewport.height - 2*viewport.printMargin;
-		let cardWidth = viewport.cardWidth;
-		let cardHeight = viewport.cardHeight;
+		// "bleed" is the extra margin rendered beyond the cut line on each side of the card.  Each card occupies a slot that includes its bleed.
+		let bleed = viewport.bleed || 0;
+		let cardWidth = viewport.cardWidth + 2*bleed;
+		let cardHeight = viewport.cardHeight + 2*bleed;
+		this._bleed = bleed;
+		this._slotWidth = cardWidth;
+		this._slotHeight = cardHeight;
 
 		// Fit as many cards as possible in the horizontal and vertical directions.
 		let hCap = Math.trunc(pageWidth / cardWidth);
@@ -81,6 +86,44 @@ class PageRenderer {
 		this._DEFAULT_CARD = defaultCard.end();
 	}
 
+	/** Draws crop marks in the page margin, lined up with the cut lines of the cards. */
+	_renderCropMarks(page, reversed) {
+		let viewport = this.viewport;
+		let length = viewport.cropMarkLength || 9;
+		let xs = [];
+		let ys = [];
+		for (let { x, y, xr } of this._placeholders) {
+			if (reversed) x = xr;
+			xs.push(x + this._bleed, x + this._slotWidth - this._bleed);
+			ys.push(y + this._bleed, y + this._slotHeight - this._bleed);
+		}
+		xs = xs.filter((x, i) => { return xs.indexOf(x) === i; });
+		ys = ys.filter((y, i) => { return ys.indexOf(y) === i; });
+
+		// The marks start just outside the bleed area of the outermost cards and extend towards the edge of the page.
+		let top = Math.min.apply(null, ys) - this._bleed;
+		let bottom = Math.max.apply(null, ys) + this._bleed;
+		let left = Math.min.apply(null, xs) - this._bleed;
+		let right = Math.max.apply(null, xs) + this._bleed;
+		let d = "";
+		for (let x of xs) {
+			if (top > 0) d += `M${x},${top} V${Math.max(top - length, 0)} `;
+			if (bottom < viewport.height) d += `M${x},${bottom} V${Math.min(bottom + length, viewport.height)} `;
+		}
+		for (let y of ys) {
+			if (left > 0) d += `M${left},${y} H${Math.max(left - length, 0)} `;
+			if (right < viewport.width) d += `M${right},${y} H${Math.min(right + length, viewport.width)} `;
+		}
+		if (d) {
+			page.ele("path", {
+				d: d.trim(),
+				fill: "none",
+				stroke: viewport.cropMarkColor || "#000000",
+				"stroke-width": viewport.cropMarkWeight || 0.5
+			});
+		}
+	}
+
 	_renderOne(cards, yCoord, reversed) {
 		assert(cards.length <= this._capacity);
 		let page = xmlbuilder.create("svg", { headless: true });
@@ -97,11 +140,14 @@ class PageRenderer {
 			page.ele("g", {
 				transform: `translate(${x},${y})`
 			}).ele("svg", {
-				width: this.viewport.cardWidth, height: this.viewport.cardHeight,
+				width: this._slotWidth, height: this._slotHeight,
 				viewBox: "0 0 1 1",
 				preserveAspectRatio: "none"
 			}).raw(card);
 		}
+		if (this.viewport.cropMarks) {
+			this._renderCropMarks(page, reversed);
+		}
 		return page.end();
 	}
 
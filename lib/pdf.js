@@ -0,0 +1,115 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* pdf.js
+ *
+ * This file converts finalized SVG pages into a vector PDF.  Unlike the PDF functions in rasterize.js, which embed PNG images, the SVG elements are translated into PDFKit drawing commands by svg-to-pdfkit, so the output stays sharp at any print resolution.  No browser or canvas is required.
+ *
+ * Text that was converted to paths (fontRenderMode "paths") is drawn as paths.  Text elements (fontRenderMode "auto") are drawn using the fonts from the "fonts" section of the config, which are embedded into the PDF.  PDFKit has no per-character font fallback, so text elements use only the first font of a font with fallbacks; use fontRenderMode "paths" for text that needs the fallback fonts.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const log = require("./logger")("pdf");
+const PDFKit = require("pdfkit");
+const streamBuffers = require("stream-buffers");
+const SVGtoPDF = require("svg-to-pdfkit");
+
+const POINTS_PER_UNIT = {
+	pt: 1,
+	pc: 12,
+	in: 72,
+	cm: 72 / 2.54,
+	mm: 72 / 25.4,
+	px: 0.75
+};
+
+// Font used for text elements whose font family is not in the config.
+const FALLBACK_FONT = "Helvetica";
+
+function toPoints(value, unit) {
+	if (!(unit in POINTS_PER_UNIT)) {
+		throw new Error("Unsupported unit for PDF output: " + unit);
+	}
+	return value * POINTS_PER_UNIT[unit];
+}
+
+function svgListToDestinationPdf(filename, svgBuffers, dims, fonts, next) {
+	var writeStream;
+	if (filename) {
+		writeStream = fs.createWriteStream(filename);
+	} else {
+		writeStream = new streamBuffers.WritableStreamBuffer();
+	}
+	// Call back only once, with the first error, such as a file that cannot be written, or with the result.
+	var calledBack = false;
+	var done = (err, result) => {
+		if (calledBack) return;
+		calledBack = true;
+		next(err, result);
+	};
+	writeStream.on("error", done);
+	writeStream.on("finish", () => {
+		if (filename) {
+			done(null, null);
+		} else {
+			done(null, writeStream.getContents());
+		}
+	});
+	try {
+		svgListToPdfStream(writeStream, svgBuffers, dims, fonts);
+	} catch(err) {
+		done(err);
+	}
+}
+
+function svgListToPdfStream(writeStream, svgBuffers, dims, fonts) {
+	var width = toPoints(dims.width, dims.unit);
+	var height = toPoints(dims.height, dims.unit);
+	var doc = new PDFKit({
+		autoFirstPage: false,
+	});
+
+	// Register the fonts under their names from the config, which is how the SVG text elements refer to them.
+	var fontNames = Object.keys(fonts || {});
+	for (let fontName of fontNames) {
+		doc.registerFont(fontName, fonts[fontName].buffer);
+	}
+	var fontCallback = (family) => {
+		let fontName = (family || "").split(",")[0].trim().replace(/^["']|["']$/g, "");
+		return (fontNames.indexOf(fontName) !== -1) ? fontName : FALLBACK_FONT;
+	};
+
+	doc.pipe(writeStream);
+	for (var i=0; i<svgBuffers.length; i++) {
+		doc.addPage({
+			size: [width, height],
+			margin: 0
+		});
+		SVGtoPDF(doc, svgBuffers[i].toString("utf-8"), 0, 0, {
+			width: width,
+			height: height,
+			preserveAspectRatio: "none",
+			fontCallback: fontCallback,
+			warningCallback: (message) => { log.warn(message); }
+		});
+	}
+	doc.end();
+}
+
+module.exports = { toPoints, svgListToDestinationPdf, svgListToPdfStream };
@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* pool.js
+ *
+ * RenderPool: Renders the cards of a deck in worker threads, for large decks.  Rendering a card, which lays out its text with the fonts, is CPU-bound, so a single thread renders one card at a time however many cores there are.
+ *
+ * Each worker loads the deck itself, from the same config file or bundle and with the same options and DiskCache as the ReadAndRender instance, so the templates are compiled and the fonts are parsed once per worker rather than for every card.  The rows of card data are then sent to the workers in chunks, and the results are returned in the order of the rows.  A worker loads the deck again only after the instance has been loaded again or its templates have changed; see ReadAndRender#version.
+ *
+ * The workers are started when they are first needed and kept for later renders, for example with "--watch".  Idle workers do not keep Node.js from exiting.
+ */
+
+"use strict";
+
+const log = require("./logger")("pool");
+const path = require("path");
+const Worker = require("worker_threads").Worker;
+
+const WORKER_PATH = path.join(__dirname, "render-worker.js");
+
+// Each worker gets several smaller chunks of rows rather than one large chunk, so that workers that finish early take over more of the work.
+const CHUNKS_PER_WORKER = 4;
+
+class RenderPool {
+	constructor(jobs) {
+		this.jobs = jobs;
+		this.workers = [];
+	}
+
+	/** Renders the given rows of card data with the templates and fonts of the given instance.  Calls back with a list of objects { front, back } in the order of the rows, where each side is { svg, warnings, rendered }, like the entries of the render cache, or null if the card has no such side or could not be rendered in the worker.  See ReadAndRender#_renderRows(). */
+	render(inst, rows, next) {
+		var cacheDir = inst.diskCache ? inst.diskCache.dir : null;
+		var deck = {
+			type: "load",
+			key: inst.version + ":" + cacheDir,
+			path: inst.configPath || (inst.ccsb && inst.ccsb.path) || null,
+			optionsOverride: inst.optionsOverride,
+			optionsFallback: inst.optionsFallback,
+			cacheDir
+		};
+		var results = new Array(rows.length);
+		var chunkSize = Math.max(1, Math.ceil(rows.length / (this.jobs * CHUNKS_PER_WORKER)));
+		var starts = [];
+		for (let start = 0; start < rows.length; start += chunkSize) {
+			starts.push(start);
+		}
+		while (this.workers.length < Math.min(this.jobs, starts.length)) {
+			this.workers.push(this._startWorker());
+		}
+		var active = 0;
+		var done = false;
+		var finish = (err) => {
+			if (done) return;
+			if (err || (starts.length === 0 && active === 0)) {
+				done = true;
+				next(err || null, results);
+			}
+		};
+		var dispatch = (worker) => {
+			if (done || starts.length === 0) return finish(null);
+			if (worker.key !== deck.key) {
+				// The deck is loaded only once the worker is free, so that it does not change in the middle of a render.
+				active++;
+				return this._send(worker, deck, (err) => {
+					active--;
+					if (err) return finish(err);
+					worker.key = deck.key;
+					dispatch(worker);
+				});
+			}
+			let start = starts.shift();
+			let chunk = rows.slice(start, start + chunkSize);
+			log.trace("chunk", start, chunk.length);
+			active++;
+			// Rows are annotated with their directory, which may be a function, so they are sent as JSON without it, like json.objectsToJsonBuffer().
+			this._send(worker, { type: "render", rows: JSON.stringify(chunk, (key, value) => { return (key === "_dirname") ? undefined : value; }) }, (err, entries) => {
+				active--;
+				if (err) return finish(err);
+				entries.forEach((entry, i) => { results[start + i] = entry; });
+				dispatch(worker);
+			});
+		};
+		if (starts.length === 0) return process.nextTick(finish, null);
+		this.workers.slice(0, starts.length).forEach(dispatch);
+	}
+
+	/** Stops the workers.  The pool starts new ones if it is used again. */
+	close() {
+		for (let worker of this.workers) {
+			worker.thread.terminate();
+		}
+		this.workers = [];
+	}
+
+	_startWorker() {
+		log.trace("startWorker");
+		var worker = { thread: new Worker(WORKER_PATH), key: null, callback: null };
+		worker.thread.unref();
+		var callBack = (err, result) => {
+			let callback = worker.callback;
+			worker.callback = null;
+			worker.thread.unref();
+			if (callback) callback(err, result);
+		};
+		worker.thread.on("message", (message) => {
+			if (message.error) return callBack(new Error(message.error));
+			callBack(null, message.result);
+		});
+		worker.thread.on("error", (err) => {
+			this._removeWorker(worker);
+			callBack(err);
+		});
+		worker.thread.on("exit", (code) => {
+			this._removeWorker(worker);
+			callBack(new Error("A render worker stopped unexpectedly with exit code " + code));
+		});
+		return worker;
+	}
+
+	_removeWorker(worker) {
+		let index = this.workers.indexOf(worker);
+		if (index !== -1) this.workers.splice(index, 1);
+	}
+
+	/** Sends a message to a worker and calls back with its reply.  The worker keeps Node.js running only while it is busy. */
+	_send(worker, message, next) {
+		worker.callback = next;
+		worker.thread.ref();
+		worker.thread.postMessage(message);
+	}
+}
+
+module.exports = RenderPool;
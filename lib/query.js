@@ -0,0 +1,324 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* query.js
+ *
+ * This file implements the small expression language used by the "where" query option to select cards, such as
+ *
+ *   type == "Spell" && cost >= 3
+ *   id >= 10 && id <= 25
+ *   type in ["Creature", "Token"] || title =~ /^Cash/i
+ *
+ * The expression is parsed into a tree and evaluated against each row of card data; JavaScript eval is never used.  Identifiers refer to fields by name, without the properties or array suffix, so "cost" refers to the column "cost (uint)".
+ *
+ * Supported syntax, from lowest to highest precedence:
+ *   a || b, a or b
+ *   a && b, a and b
+ *   !a, not a
+ *   a == b, a != b, a < b, a <= b, a > b, a >= b, a in [b, c, ...], a =~ /regex/flags, a !~ /regex/flags
+ *   literals ("string", 'string', 123, 4.5, true, false, null), field names, and parentheses
+ *
+ * Values of fields with the "uint" or "number" property are converted to numbers.  Comparisons between a number and a string that looks like a number are performed numerically; other comparisons are performed on strings.  A field missing from a row is null; null and numbers that cannot be parsed, like an empty "(uint)" cell, are never less than or greater than another value.
+ */
+
+"use strict";
+
+const Options = require("./options");
+
+const TOKEN_REGEX = /(?:(-?\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\w+)|(==|!=|<=|>=|=~|!~|&&|\|\||[<>!()[\],]))/y;
+const REGEX_REGEX = /\/((?:[^/\\]|\\.)+)\/([a-z]*)/y;
+const KEYWORDS = {
+	and: "&&",
+	or: "||",
+	not: "!",
+	in: "in"
+};
+const LITERALS = {
+	true: true,
+	false: false,
+	null: null
+};
+
+function syntaxError(source, position, message) {
+	return new Error("Syntax error in query at position " + position + ": " + message + ": " + source);
+}
+
+function tokenize(source) {
+	var tokens = [];
+	var position = 0;
+	for (;;) {
+		while (/\s/.test(source.charAt(position))) position++;
+		if (position >= source.length) break;
+		let previous = tokens[tokens.length - 1];
+		if (previous && (previous.op === "=~" || previous.op === "!~")) {
+			// A regular expression literal can only appear after a match operator.
+			REGEX_REGEX.lastIndex = position;
+			let match = REGEX_REGEX.exec(source);
+			if (match === null) {
+				throw syntaxError(source, position, "expected a regular expression like /abc/i");
+			}
+			try {
+				// The "g" and "y" flags make RegExp.prototype.test stateful across rows, so they are dropped.
+				tokens.push({ value: new RegExp(match[1], match[2].replace(/[gy]/g, "")), position });
+			} catch(err) {
+				throw syntaxError(source, position, err.message);
+			}
+			position = REGEX_REGEX.lastIndex;
+			continue;
+		}
+		TOKEN_REGEX.lastIndex = position;
+		let match = TOKEN_REGEX.exec(source);
+		if (match === null) {
+			throw syntaxError(source, position, "unexpected character");
+		}
+		if (match[1]) {
+			tokens.push({ value: parseFloat(match[1]), position });
+		} else if (match[2]) {
+			let body = match[2].substring(1, match[2].length - 1);
+			tokens.push({ value: body.replace(/\\(.)/g, "$1"), position });
+		} else if (match[3]) {
+			if (match[3] in KEYWORDS) {
+				tokens.push({ op: KEYWORDS[match[3]], position });
+			} else if (match[3] in LITERALS) {
+				tokens.push({ value: LITERALS[match[3]], position });
+			} else {
+				tokens.push({ field: match[3], position });
+			}
+		} else {
+			tokens.push({ op: match[4], position });
+		}
+		position = TOKEN_REGEX.lastIndex;
+	}
+	return tokens;
+}
+
+// Recursive descent parser.  Each node is an object with a "type" property.
+class Parser {
+	constructor(source) {
+		this.source = source;
+		this.tokens = tokenize(source);
+		this.index = 0;
+	}
+
+	parse() {
+		var node = this.parseOr();
+		if (this.index < this.tokens.length) {
+			throw syntaxError(this.source, this.tokens[this.index].position, "unexpected token");
+		}
+		return node;
+	}
+
+	peekOp(op) {
+		let token = this.tokens[this.index];
+		return !!token && token.op === op;
+	}
+
+	expectOp(op) {
+		if (!this.peekOp(op)) {
+			let position = (this.index < this.tokens.length) ? this.tokens[this.index].position : this.source.length;
+			throw syntaxError(this.source, position, "expected '" + op + "'");
+		}
+		this.index++;
+	}
+
+	parseOr() {
+		var node = this.parseAnd();
+		while (this.peekOp("||")) {
+			this.index++;
+			node = { type: "or", left: node, right: this.parseAnd() };
+		}
+		return node;
+	}
+
+	parseAnd() {
+		var node = this.parseNot();
+		while (this.peekOp("&&")) {
+			this.index++;
+			node = { type: "and", left: node, right: this.parseNot() };
+		}
+		return node;
+	}
+
+	parseNot() {
+		if (this.peekOp("!")) {
+			this.index++;
+			return { type: "not", operand: this.parseNot() };
+		}
+		return this.parseComparison();
+	}
+
+	parseComparison() {
+		var left = this.parseValue();
+		for (let op of ["==", "!=", "<=", ">=", "<", ">", "=~", "!~"]) {
+			if (this.peekOp(op)) {
+				this.index++;
+				return { type: "compare", op, left, right: this.parseValue() };
+			}
+		}
+		if (this.peekOp("in")) {
+			this.index++;
+			return { type: "in", left, right: this.parseList() };
+		}
+		return left;
+	}
+
+	parseList() {
+		var items = [];
+		this.expectOp("[");
+		while (!this.peekOp("]")) {
+			items.push(this.parseValue());
+			if (!this.peekOp("]")) this.expectOp(",");
+		}
+		this.expectOp("]");
+		return items;
+	}
+
+	parseValue() {
+		var token = this.tokens[this.index];
+		if (!token) {
+			throw syntaxError(this.source, this.source.length, "unexpected end of query");
+		}
+		if (token.op === "(") {
+			this.index++;
+			let node = this.parseOr();
+			this.expectOp(")");
+			return node;
+		}
+		if ("field" in token) {
+			this.index++;
+			return { type: "field", name: token.field };
+		}
+		if ("value" in token) {
+			this.index++;
+			return { type: "literal", value: token.value };
+		}
+		throw syntaxError(this.source, token.position, "unexpected operator '" + token.op + "'");
+	}
+}
+
+/** Converts a raw row, with keys like "cost (uint)", to an object keyed by field name, converting numeric fields to numbers. */
+function getRowFields(row) {
+	var fields = {};
+	for (let key of Object.keys(row)) {
+		if (key[0] === "_") continue;
+		let field = Options.parseFieldKey(key);
+		let value = row[key];
+		if (field.properties.uint) {
+			value = parseInt(value);
+		} else if (field.properties.number) {
+			value = parseFloat(value);
+		}
+		fields[field.name] = value;
+	}
+	return fields;
+}
+
+function isNumeric(value) {
+	return typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)));
+}
+
+function compareValues(a, b) {
+	if ((typeof a === "number" || typeof b === "number") && isNumeric(a) && isNumeric(b)) {
+		return Number(a) - Number(b);
+	}
+	a = String(a);
+	b = String(b);
+	return (a < b) ? -1 : (a > b) ? 1 : 0;
+}
+
+/** Returns whether a value can be ordered by <, <=, >, and >=: missing values and numbers that failed to parse, like an empty "(uint)" cell, are neither less nor greater than anything. */
+function isOrderable(value) {
+	return value !== null && typeof value !== "undefined" && !(typeof value === "number" && isNaN(value));
+}
+
+function isEqual(a, b) {
+	if (a === null || b === null || typeof a === "undefined" || typeof b === "undefined") {
+		return a == b;
+	}
+	return compareValues(a, b) === 0;
+}
+
+function evaluate(node, fields) {
+	switch (node.type) {
+		case "or":
+			return !!evaluate(node.left, fields) || !!evaluate(node.right, fields);
+		case "and":
+			return !!evaluate(node.left, fields) && !!evaluate(node.right, fields);
+		case "not":
+			return !evaluate(node.operand, fields);
+		case "literal":
+			return node.value;
+		case "field":
+			return (node.name in fields) ? fields[node.name] : null;
+		case "in": {
+			let left = evaluate(node.left, fields);
+			return node.right.some((item) => { return isEqual(left, evaluate(item, fields)); });
+		}
+		case "compare": {
+			let left = evaluate(node.left, fields);
+			let right = evaluate(node.right, fields);
+			if (["<", "<=", ">", ">="].indexOf(node.op) !== -1 && !(isOrderable(left) && isOrderable(right))) {
+				return false;
+			}
+			switch (node.op) {
+				case "==": return isEqual(left, right);
+				case "!=": return !isEqual(left, right);
+				case "<": return compareValues(left, right) < 0;
+				case "<=": return compareValues(left, right) <= 0;
+				case ">": return compareValues(left, right) > 0;
+				case ">=": return compareValues(left, right) >= 0;
+				case "=~": return (right instanceof RegExp) && right.test(String(left));
+				case "!~": return (right instanceof RegExp) && !right.test(String(left));
+			}
+		}
+	}
+	throw new Error("Invalid query node: " + node.type);
+}
+
+/** Returns the names of the fields referenced by a query tree. */
+function getFieldNames(node, names) {
+	names = names || [];
+	if (node.type === "field") {
+		if (names.indexOf(node.name) === -1) names.push(node.name);
+	} else if (node.type === "in") {
+		getFieldNames(node.left, names);
+		node.right.forEach((item) => { getFieldNames(item, names); });
+	} else {
+		for (let key of ["left", "right", "operand"]) {
+			if (node[key]) getFieldNames(node[key], names);
+		}
+	}
+	return names;
+}
+
+/** Parses a query expression and returns a function that takes a raw row of card data and returns whether the row matches.  A field missing from a row is treated as null; if rows are given, a field missing from all of them is an error. */
+function compile(source, rows) {
+	var tree = new Parser(source).parse();
+	if (rows && rows.length > 0) {
+		let rowFields = rows.map(getRowFields);
+		for (let name of getFieldNames(tree)) {
+			if (!rowFields.some((fields) => { return name in fields; })) {
+				throw new Error("Unknown field in query: " + name);
+			}
+		}
+	}
+	return (row) => {
+		return !!evaluate(tree, getRowFields(row));
+	};
+}
+
+module.exports = { compile };
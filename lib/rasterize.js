@@ -41,6 +41,26 @@ function svgToPng(svgBuffer, width, height, numPages, format, next) {
 		_canvasDrawOne(svgBuffer, width, height, 1, function(){}, 0, next);
 		return;
 	}
+	_svgToPngPhantom(SVGtoPNG, svgBuffer, width, height, next);
+}
+
+// Converts a list of single-page SVGs to PNGs of the given pixel size.  The SVGs should be finalized with the same pixel size (unit "px") so that every backend renders them at the desired resolution.
+function svgListToPngs(svgBuffers, widthPx, heightPx, next) {
+	let SVGtoPNG;
+	try {
+		// If svg-to-png is installed, use it.
+		SVGtoPNG = require("svg-to-png");
+	} catch(e) {
+		// If not, try using the canvas painter.
+		canvasDrawImage2(svgBuffers, widthPx, heightPx, 1, function(){}, next);
+		return;
+	}
+	async.mapSeries(svgBuffers, (svgBuffer, _next) => {
+		_svgToPngPhantom(SVGtoPNG, svgBuffer, widthPx, heightPx, _next);
+	}, next);
+}
+
+function _svgToPngPhantom(SVGtoPNG, svgBuffer, width, height, next) {
 	async.auto({
 		"tmpdir": (_next) => {
 			tmp.dir({ unsafeCleanup: true }, _next);
@@ -255,4 +275,4 @@ function pngListToPngsZip(filename, pngBuffers, width, height, next) {
 		.on("finish", next);
 }
 
-module.exports = { svgToPng, canvasDrawImage, canvasDrawImage2, pngListToDestinationPdf, pngListToPdfStream, pngListToPngsZip };
+module.exports = { svgToPng, svgListToPngs, canvasDrawImage, canvasDrawImage2, pngListToDestinationPdf, pngListToPdfStream, pngListToPngsZip };
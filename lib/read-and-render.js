@@ -22,7 +22,7 @@
  * Although this is written massively async, there are two main CPU-bound tasks that block the event loop:
  *   pug.js -> compile template
  *   opentype.js -> parse font buffer
- * It would be good to move those tasks to the thread pool.
+ * Rendering the cards is also CPU-bound.  For large decks, the cards can be rendered in worker threads, each of which compiles the templates and parses the fonts once; see setRenderPool() and pool.js.
  */
 
 "use strict";
@@ -31,18 +31,34 @@ const async = require("async");
 const CardRenderer = require("./render");
 const CcsbReader = require("./ccsb");
 const csv = require("./csv");
+const defaults = require("./defaults");
+const DiskCache = require("./cache");
 const fs = require("fs");
 const hjson = require("hjson");
+const json = require("./json");
+const locale = require("./locale");
 const log = require("./logger")("read-and-render");
 const mime = require("mime");
 const Options = require("./options");
 const PageRenderer = require("../lib/page");
+const query = require("./query");
 const path = require("path");
+const pdf = require("./pdf");
 const rasterize = require("../lib/rasterize");
+const Schema = require("./schema");
 const streamBuffers = require("stream-buffers");
+const spreadsheet = require("./spreadsheet");
 const SvgHolder = require("../lib/svg");
+const tts = require("./tts");
+const url = require("url");
 const utils = require("./utils");
 
+// Each load of a deck, and each change to its templates, gets a new version, so that the workers of a RenderPool know when to load the deck again.
+var nextVersion = 1;
+
+// Global options left out of the keys of the DiskCache.  The card data and the templates are covered by the field values of each card and by the source of its template, and must not be part of the key, or else changing one card would change the key of every card.
+const NOT_CACHED_OPTIONS = ["data", "dataSheet", "query", "template", "templates", "back", "locales"];
+
 // Note: *.ccsb stands for "Card Creatr Studio Bundle"
 // and *.ccst stands for "Card Creatr Studio Template"
 mime.define({
@@ -54,16 +70,16 @@ mime.define({
 class ReadAndRender {
 	constructor(path, optionsOverride, optionsFallback) {
 		log.trace("constructor");
-		this.options = new Options();
-		if (optionsFallback) {
-			// Both arguments: override and fallback
-			this.options.addOverride(optionsOverride, "");
-			this.options.addFallback(optionsFallback, "");
-		} else {
-			// One argument: fallback only
-			this.options.addFallback(optionsOverride, "");
-		}
-		this.options.addDefaultFallback();
+		this.optionsOverride = optionsOverride;
+		this.optionsFallback = optionsFallback;
+		this._resetOptions();
+		this.renderCache = null;
+		this.renderPool = null;
+		this.prerendered = null;
+		this.dataFieldNames = null;
+		this.diskCache = null;
+		this.optionsHash = null;
+		this.version = 0;
 
 		if (path) {
 			let type = mime.lookup(path);
@@ -77,7 +93,22 @@ class ReadAndRender {
 		}
 	}
 
+	_resetOptions() {
+		this.options = new Options();
+		this.options.setSchema(Schema.CONFIG);
+		if (this.optionsFallback) {
+			// Both arguments: override and fallback
+			this.options.addOverride(this.optionsOverride, "");
+			this.options.addFallback(this.optionsFallback, "");
+		} else {
+			// One argument: fallback only
+			this.options.addFallback(this.optionsOverride, "");
+		}
+		this.options.addDefaultFallback();
+	}
+
 	load(next) {
+		this.version = nextVersion++;
 		async.auto({
 			"configContent": (_next) => {
 				log.trace("configContent");
@@ -110,6 +141,10 @@ class ReadAndRender {
 				log.trace("optionQuery");
 				this.options.onceLoaded("/query", _next);
 			},
+			"optionBack": (_next) => {
+				log.trace("optionBack");
+				this.options.onceLoaded("/back", _next);
+			},
 			"jsonContent": ["configContent", (results, _next) => {
 				if (this.ccsb) {
 					this.ccsb.readFile(CcsbReader.JSON_PATH, _next);
@@ -123,23 +158,22 @@ class ReadAndRender {
 			"optionsAll": ["configContent", "jsonContent", (results, _next) => {
 				log.trace("optionsAll");
 				// Config values override fallback options values.
-				var config = hjson.parse(results.configContent.toString("utf-8"));
+				var configText = results.configContent.toString("utf-8");
+				var config = hjson.parse(configText);
 				var jsonObj = JSON.parse((results.jsonContent || "{}").toString("utf-8"));
+				this.options.setSourceLocation(config, this._getConfigLocation(configText));
 				if (this.configPath) {
 					this.options.addPrimary(config, path.dirname(this.configPath));
 				} else if (this.ccsb) {
 					this.options.addPrimary({
 						"template (path)": CcsbReader.TEMPLATE_PATH,
-						"data (path)": CcsbReader.DATA_PATH
+						"data (path)": CcsbReader.DATA_PATH,
+						// The back template is optional in bundles
+						"back (path)": this.ccsb.containsFile(CcsbReader.BACK_PATH) ? CcsbReader.BACK_PATH : undefined
 					}, this.ccsb.readFile.bind(this.ccsb));
 					this.options.addPrimary(config, this.ccsb.readFile.bind(this.ccsb));
 					// Add the fonts from fields.json
-					// TODO: This is duplicated from CCS store.js
-					let intermediate = {};
-					for (let fontInfo of (jsonObj.fonts || [])) {
-						intermediate[fontInfo.name + " (font)"] = fontInfo.filename;
-					}
-					this.options.addPrimary({ fonts: intermediate }, this.ccsb.readFile.bind(this.ccsb));
+					this.options.addPrimary({ fonts: CcsbReader.getFontsConfig(jsonObj) }, this.ccsb.readFile.bind(this.ccsb));
 				}
 				this.options.load(_next);
 			}],
@@ -154,17 +188,52 @@ class ReadAndRender {
 				this.renderer.build(templateString);
 				_next(null);
 			}],
-			"cardData": ["optionData", (results, _next) => {
+			"backRendererBuild": ["renderer", "optionBack", (results, _next) => {
+				log.trace("backRendererBuild");
+				try {
+					this._buildBackRenderer(results.optionBack);
+				} catch(err) {
+					return _next(err);
+				}
+				_next(null);
+			}],
+			"templateRenderersBuild": ["renderer", "optionsAll", (results, _next) => {
+				log.trace("templateRenderersBuild");
+				try {
+					this._buildTemplateRenderers(this.options.get("/templates"));
+				} catch(err) {
+					return _next(err);
+				}
+				_next(null);
+			}],
+			"cardData": ["optionData", "optionsAll", (results, _next) => {
 				log.trace("cardData");
-				var buffer = results.optionData.buffer;
-				csv.csvBufferToObjects(buffer, _next);
+				this._parseData(results.optionData, _next);
 			}],
-			"cards": ["optionQuery", "optionData", "cardData", (results, _next) => {
-				log.trace("cards");
-				var rows = results.cardData;
-				var rowsToProcess = rows.filter((row) => {
-					return utils.satisfiesQuery(row, results.optionQuery);
+			"translations": ["optionsAll", (results, _next) => {
+				log.trace("translations");
+				var localeInfo;
+				try {
+					localeInfo = this._applyLocale();
+				} catch(err) {
+					return _next(err);
+				}
+				if (!localeInfo || !localeInfo.strings) return _next(null);
+				this._parseData(localeInfo.strings, (err, rows) => {
+					if (err) return _next(err);
+					this.translations = locale.indexTranslations(rows);
+					_next(null);
 				});
+			}],
+			"cards": ["optionQuery", "optionData", "cardData", "translations", (results, _next) => {
+				log.trace("cards");
+				var rowsToProcess;
+				try {
+					rowsToProcess = this._translateRows(this._filterRows(results.cardData, results.optionQuery));
+				} catch(err) {
+					return _next(err);
+				}
+				this.rows = rowsToProcess;
 				async.map(
 					rowsToProcess,
 					(row, __next) => {
@@ -184,6 +253,7 @@ class ReadAndRender {
 	}
 
 	loadSync() {
+		this.version = nextVersion++;
 		// Load all options data.
 		// Config values override fallback options values.
 		log.trace("configContent");
@@ -197,40 +267,46 @@ class ReadAndRender {
 		} else {
 			configContent = Buffer.alloc(0);
 		}
-		var config = hjson.parse(configContent.toString("utf-8"));
+		var configText = configContent.toString("utf-8");
+		var config = hjson.parse(configText);
 		var jsonObj = JSON.parse((jsonContent || "{}").toString("utf-8"));
+		this.options.setSourceLocation(config, this._getConfigLocation(configText));
 		if (this.configPath) {
 			this.options.addPrimary(config, path.dirname(this.configPath));
 		} else if (this.ccsb) {
 			this.options.addPrimary({
 				"template (path)": CcsbReader.TEMPLATE_PATH,
-				"data (path)": CcsbReader.DATA_PATH
+				"data (path)": CcsbReader.DATA_PATH,
+				// The back template is optional in bundles
+				"back (path)": this.ccsb.containsFile(CcsbReader.BACK_PATH) ? CcsbReader.BACK_PATH : undefined
 			}, this.ccsb.readFileSync.bind(this.ccsb));
 			this.options.addPrimary(config, this.ccsb.readFileSync.bind(this.ccsb));
 			// Add the fonts from fields.json
-			// TODO: This is duplicated from CCS store.js
-			let intermediate = {};
-			for (let fontInfo of (jsonObj.fonts || [])) {
-				intermediate[fontInfo.name + " (font)"] = fontInfo.filename;
-			}
-			this.options.addPrimary({ fonts: intermediate }, this.ccsb.readFileSync.bind(this.ccsb));
+			this.options.addPrimary({ fonts: CcsbReader.getFontsConfig(jsonObj) }, this.ccsb.readFileSync.bind(this.ccsb));
 		}
 		this.options.loadSync();
 
+		// Apply the locale, if any.
+		log.trace("translations");
+		var localeInfo = this._applyLocale();
+		if (localeInfo && localeInfo.strings) {
+			this.translations = locale.indexTranslations(this._parseDataSync(localeInfo.strings));
+		}
+
 		// Load the renderer.
 		log.trace("mixinsContent");
 		var templateString = this.options.get("/template").buffer.toString("utf-8");
 		this.renderer = new CardRenderer;
 		this.renderer.loadSync();
 		this.renderer.build(templateString);
+		this._buildBackRenderer(this.options.get("/back"));
+		this._buildTemplateRenderers(this.options.get("/templates"));
 
 		// Load the card data.
 		log.trace("csvString");
-		var buffer = this.options.get("/data").buffer;
-		var rows = csv.csvBufferToObjectsSync(buffer);
-		var rowsToProcess = rows.filter((row) => {
-			return utils.satisfiesQuery(row, this.options.get("/query"));
-		});
+		var rows = this._parseDataSync(this.options.get("/data"));
+		var rowsToProcess = this._translateRows(this._filterRows(rows, this.options.get("/query")));
+		this.rows = rowsToProcess;
 		this.cards = rowsToProcess.map((row) => {
 			var cardOptions = new Options();
 			cardOptions.addPrimary(row, this.options.get("/data").dirname);
@@ -238,7 +314,186 @@ class ReadAndRender {
 		});
 	}
 
-	run(page, multiples, format, next) {
+	/** Returns the location of the config file for error messages from the schema check. */
+	_getConfigLocation(configText) {
+		var filename;
+		if (this.configPath) {
+			filename = this.configPath;
+		} else if (this.ccsb) {
+			filename = this.ccsb.path + ":" + CcsbReader.CONFIG_PATH;
+		} else {
+			filename = "(no config file)";
+		}
+		return { filename, text: configText };
+	}
+
+	/** Parses the data file into raw rows, according to its file type.  CSV is assumed for unknown file types. */
+	_parseData(optionData, next) {
+		if (spreadsheet.isSpreadsheet(optionData.mimeType)) {
+			spreadsheet.spreadsheetBufferToObjects(optionData.buffer, this.options.get("/dataSheet"), next);
+		} else if (json.isJson(optionData.mimeType)) {
+			json.jsonBufferToObjects(optionData.buffer, optionData.mimeType, next);
+		} else {
+			csv.csvBufferToObjects(optionData.buffer, next);
+		}
+	}
+
+	_parseDataSync(optionData) {
+		if (spreadsheet.isSpreadsheet(optionData.mimeType)) {
+			return spreadsheet.spreadsheetBufferToObjectsSync(optionData.buffer, this.options.get("/dataSheet"));
+		} else if (json.isJson(optionData.mimeType)) {
+			return json.jsonBufferToObjectsSync(optionData.buffer, optionData.mimeType);
+		} else {
+			return csv.csvBufferToObjectsSync(optionData.buffer);
+		}
+	}
+
+	/** Returns the rows matching both the id/title query and the "where" expression, if any.  Records the names of the fields that any of the rows has, matching or not, in dataFieldNames. */
+	_filterRows(rows, optionQuery) {
+		this.dataFieldNames = Object.create(null);
+		for (let row of rows) {
+			for (let key of Object.keys(row)) {
+				if (key[0] !== "_") this.dataFieldNames[Options.parseFieldKey(key).name] = true;
+			}
+		}
+		var where = (optionQuery && optionQuery.where && optionQuery.where.trim()) ? query.compile(optionQuery.where, rows) : null;
+		return rows.filter((row) => {
+			return utils.satisfiesQuery(row, optionQuery) && (!where || where(row));
+		});
+	}
+
+	/** If the "locale" option is set, replaces the fonts with the fonts of the locale, and returns the entry for the locale in the "locales" config. */
+	_applyLocale() {
+		this.translations = null;
+		var name = this.options.get("/locale");
+		if (!name) return null;
+		var locales = this.options.get("/locales") || {};
+		if (!locales[name]) {
+			throw new Error("Unknown locale \"" + name + "\".  Available locales: " + (Object.keys(locales).join(", ") || "(none)"));
+		}
+		Object.assign(this.options.get("/fonts"), locales[name].fonts);
+		return locales[name];
+	}
+
+	/** Overlays the translations for the locale, if any, onto the rows, and records the fields without a translation.  The rows are filtered by the query before translation, so the query refers to the original values. */
+	_translateRows(rows) {
+		this.missingTranslations = [];
+		if (!this.translations) return rows;
+		return rows.map((row) => {
+			let result = locale.translateRow(row, this.translations);
+			this.missingTranslations.push(result.missing);
+			return result.row;
+		});
+	}
+
+	/** Returns the names of the locales in the "locales" config. */
+	getLocales() {
+		return Object.keys(this.options.get("/locales") || {});
+	}
+
+	/** Returns the fields of the cards that have a value in the data but no translation for the current locale.  The entries have the same form as those of getReport(), with type "untranslated", and are also included in getReport() after rendering. */
+	getUntranslated() {
+		var name = this.options.get("/locale");
+		var result = [];
+		(this.missingTranslations || []).forEach((fields, index) => {
+			let cardOptions = this.cards[index];
+			for (let field of fields) {
+				result.push({
+					index,
+					id: cardOptions.get("/id"),
+					title: cardOptions.get("/title"),
+					side: "front",
+					type: "untranslated",
+					locale: name,
+					field,
+					message: "field \"" + field + "\" has no translation for locale \"" + name + "\""
+				});
+			}
+		});
+		return result;
+	}
+
+	_buildTemplateRenderers(optionTemplates) {
+		// One renderer for each entry in the "templates" map, selected per row by the "templateColumn" option.
+		this.templateRenderers = {};
+		for (let name of Object.keys(optionTemplates || {})) {
+			let template = optionTemplates[name];
+			if (!template || !template.buffer) {
+				throw new Error("Template \"" + name + "\" must be a path, as in \"" + name + " (path)\"");
+			}
+			this.templateRenderers[name] = this.renderer.buildCopy(template.buffer.toString("utf-8"));
+		}
+	}
+
+	/** Returns the renderer for the front of the given card: the entry in the "templates" map named by the row's "templateColumn" value, or the main template if the row leaves that column empty. */
+	_getRenderer(cardOptions) {
+		var column = this.options.get("/templateColumn");
+		if (!column) return this.renderer;
+		var name = cardOptions.get("/" + column);
+		if (!name) return this.renderer;
+		if (!this.templateRenderers[name]) {
+			let available = Object.keys(this.templateRenderers).join(", ") || "(none)";
+			throw new Error("Unknown template \"" + name + "\" in column \"" + column + "\" of card \"" + cardOptions.get("/id") + "\".  Available templates: " + available);
+		}
+		return this.templateRenderers[name];
+	}
+
+	_buildBackRenderer(optionBack) {
+		// Per-row back templates are compiled lazily and cached by path.
+		this.backRenderers = {};
+		if (optionBack && optionBack.buffer) {
+			this.backRenderer = this.renderer.buildCopy(optionBack.buffer.toString("utf-8"));
+		} else {
+			this.backRenderer = null;
+		}
+	}
+
+	/** Returns the renderer for the back of the given card: the per-row "back (path)" template if the row has one, otherwise the global back template, otherwise null. */
+	_getBackRenderer(cardOptions) {
+		var back = cardOptions.get("/back");
+		if (back && back.buffer) {
+			if (!this.backRenderers[back.path]) {
+				this.backRenderers[back.path] = this.renderer.buildCopy(back.buffer.toString("utf-8"));
+			}
+			return this.backRenderers[back.path];
+		}
+		return this.backRenderer;
+	}
+
+	/** Returns the dimensions of a single card, enlarged to include the bleed, if any. */
+	_getCardDimensions() {
+		var dims = this.options.get("/dimensions/card");
+		var viewport = this.options.get("/viewports/card");
+		var bleed = viewport.bleed || 0;
+		if (!bleed) return dims;
+		return Object.assign({}, dims, {
+			width: dims.width * (viewport.width + 2*bleed) / viewport.width,
+			height: dims.height * (viewport.height + 2*bleed) / viewport.height
+		});
+	}
+
+	_makePageRenderer() {
+		return new PageRenderer(this.options.get("/viewports/page"), this.options.get("/layoutStrategy"), this.options.get("/renderReversed"));
+	}
+
+	/** Returns the contents of each page separately, for output formats that have their own notion of pages. */
+	_renderPages(page, cards, backs) {
+		if (page === -1) return [cards[0]];
+		if (page === -4) return [backs[0]];
+		let pageRenderer = this._makePageRenderer();
+		if (page === -2) return pageRenderer.render(cards);
+		if (page === -3) return pageRenderer.render(cards, { cardBacks: backs || cards });
+		return [pageRenderer.render(cards)[page-1]];
+	}
+
+	/** Renders the front of every card and, if withBacks is true and there are any back templates, the back of every card, without duplicating them.  The viewport defaults to the card viewport from the config. */
+	_renderCards(viewport, withBacks) {
+		// Only renderings with the default viewport are cached, or rendered in advance by prerender().  Those are used only once.
+		var useCache = !viewport && this.renderCache !== null;
+		var prerendered = viewport ? null : this.prerendered;
+		this.prerendered = null;
+		viewport = viewport || this.options.get("/viewports/card");
+
 		// Check preconditions
 		if (this.cards.length === 0) {
 			throw new Error("No cards were found matching your query.");
@@ -246,13 +501,434 @@ class ReadAndRender {
 
 		// Perform the render.
 		log.trace("renderedCards");
-		var renderedCards = this.cards.map((cardOptions) => {
-			return this.renderer.render(cardOptions, this.options, this.options.get("/viewports/card"));
+		this.warnings = this.getUntranslated();
+		this.renderCount = 0;
+		var renderedCards = this.cards.map((cardOptions, i) => {
+			return this._renderSide(this._getRenderer(cardOptions), cardOptions, i, "front", viewport, useCache, prerendered);
 		});
 
+		// Render the backs, if they are needed and there are any back templates.
+		var renderedBacks = null;
+		if (!withBacks) return { renderedCards, renderedBacks };
+		log.trace("renderedBacks");
+		var backRenderers = this.cards.map((cardOptions) => {
+			return this._getBackRenderer(cardOptions);
+		});
+		if (backRenderers.some((renderer) => { return renderer !== null; })) {
+			renderedBacks = this.cards.map((cardOptions, i) => {
+				if (backRenderers[i] === null) {
+					throw new Error("Card has no back template: " + cardOptions.get("/id"));
+				}
+				return this._renderSide(backRenderers[i], cardOptions, i, "back", viewport, useCache, prerendered);
+			});
+		}
+
+		return { renderedCards, renderedBacks };
+	}
+
+	/** Renders one side of a card.  If useCache is true, returns the previous rendering of the same row instead, if there is one.  Otherwise, takes the rendering from the worker threads out of prerendered, if there is one. */
+	_renderSide(renderer, cardOptions, index, side, viewport, useCache, prerendered) {
+		var key = (useCache || prerendered) ? side + ":" + JSON.stringify(this.rows[index]) : null;
+		var entry = useCache ? this.renderCache[key] : null;
+		if (!entry) {
+			entry = prerendered ? prerendered[key] : null;
+			if (entry) {
+				if (entry.rendered) this.renderCount++;
+			} else {
+				entry = this._renderEntry(renderer, cardOptions, side, viewport);
+			}
+			if (useCache) this.renderCache[key] = entry;
+		}
+		this._addWarnings(cardOptions, index, side, entry.warnings);
+		return entry.svg;
+	}
+
+	/** Renders one side of a card to an object { svg, warnings }, or, with a DiskCache, reads it from the cache if it was rendered before.  Increments renderCount if the card was actually rendered. */
+	_renderEntry(renderer, cardOptions, side, viewport) {
+		var diskKey = this.diskCache ? this._getDiskKey(renderer, cardOptions, side, viewport) : null;
+		var entry = diskKey ? this.diskCache.get(diskKey) : null;
+		if (!entry) {
+			let warnings = [];
+			entry = { svg: renderer.render(cardOptions, this.options, viewport, null, warnings), warnings };
+			this.renderCount++;
+			if (diskKey) this.diskCache.set(diskKey, entry);
+		}
+		return entry;
+	}
+
+	/** Returns the key of one side of a card in the DiskCache.  The hash of the global options is computed once for each version of the deck. */
+	_getDiskKey(renderer, cardOptions, side, viewport) {
+		if (!this.optionsHash || this.optionsHash.version !== this.version) {
+			let globals = Object.assign({}, this.options.toObject());
+			for (let name of NOT_CACHED_OPTIONS) {
+				delete globals[name];
+			}
+			this.optionsHash = { version: this.version, hash: DiskCache.hashValue(globals) };
+		}
+		return this.diskCache.getKey([
+			DiskCache.hashValue(renderer.source),
+			this.optionsHash.hash,
+			side,
+			JSON.stringify(viewport),
+			DiskCache.hashValue(cardOptions.toObject())
+		]);
+	}
+
+	/** Keeps the renderings of the cards in the given DiskCache, so that later runs render only the cards that changed.  See cache.js. */
+	setDiskCache(diskCache) {
+		this.diskCache = diskCache;
+	}
+
+	/** Renders the cards in the worker threads of the given RenderPool when prerender() is called.  The pool may be shared by several instances. */
+	setRenderPool(pool) {
+		this.renderPool = pool;
+	}
+
+	/** With a RenderPool, renders the cards in its worker threads, so that the next render takes the results instead of rendering the cards again; the cards already in the render cache are skipped.  The next render must happen before the deck is changed, for example by update().  Without a RenderPool, calls back right away. */
+	prerender(next) {
+		this.prerendered = null;
+		if (!this.renderPool || !this.rows || this.rows.length === 0) return next(null);
+		var keys = [];
+		var rows = [];
+		var seen = Object.create(null);
+		for (let row of this.rows) {
+			let key = JSON.stringify(row);
+			if (seen[key] || (this.renderCache && this.renderCache["front:" + key])) continue;
+			seen[key] = true;
+			keys.push(key);
+			rows.push(row);
+		}
+		log.trace("prerender", rows.length);
+		this.renderPool.render(this, rows, (err, entries) => {
+			if (err) return next(err);
+			this.prerendered = {};
+			entries.forEach((entry, i) => {
+				if (entry.front) this.prerendered["front:" + keys[i]] = entry.front;
+				if (entry.back) this.prerendered["back:" + keys[i]] = entry.back;
+			});
+			next(null);
+		});
+	}
+
+	/** Called in the worker threads of a RenderPool: renders the front and the back of each row of card data with the default viewport, using the DiskCache, if any.  Calls back with a list of objects { front, back }, where each side is { svg, warnings, rendered }, or null if the card has no such side or it could not be rendered; rendered is false if the side was read from the DiskCache.  The main thread renders those cards itself, so that errors are reported as usual. */
+	_renderRows(rows, next) {
+		var viewport = this.options.get("/viewports/card");
+		var dirname = this.options.get("/data").dirname;
+		this.renderCount = 0;
+		var renderSide = (renderer, cardOptions, side) => {
+			if (!renderer) return null;
+			let count = this.renderCount;
+			let entry = this._renderEntry(renderer, cardOptions, side, viewport);
+			return Object.assign({ rendered: (this.renderCount > count) }, entry);
+		};
+		async.mapSeries(rows, (row, _next) => {
+			var cardOptions = new Options();
+			cardOptions.addPrimary(row, dirname);
+			cardOptions.load((err) => {
+				var entry = { front: null, back: null };
+				if (err) return _next(null, entry);
+				try {
+					entry.front = renderSide(this._getRenderer(cardOptions), cardOptions, "front");
+					entry.back = renderSide(this._getBackRenderer(cardOptions), cardOptions, "back");
+				} catch(err) {
+					log.trace("renderRows", err.message);
+				}
+				_next(null, entry);
+			});
+		}, next);
+	}
+
+	/** Keeps the rendering of each card in memory, so that rendering again only renders the cards whose rows have changed, as determined by update().  After rendering, renderCount is the number of cards that were actually rendered. */
+	enableRenderCache() {
+		this.renderCache = {};
+	}
+
+	/** Returns the absolute paths of the files that the deck was loaded from: the config file and every file loaded by a "path", "img", or "font" field, including those in the card data, but not the default fonts.  For a bundle, this is just the bundle. */
+	getSourceFiles() {
+		var files = [];
+		var defaultFiles = Options.getDefaultFiles();
+		var add = (file) => {
+			file = path.resolve(file);
+			if (files.indexOf(file) === -1 && defaultFiles.indexOf(file) === -1) files.push(file);
+		};
+		if (this.ccsb) {
+			add(this.ccsb.path);
+			return files;
+		}
+		if (this.configPath) add(this.configPath);
+		var visit = (value) => {
+			if (!value || typeof value !== "object") return;
+			if (typeof value.path === "string" && typeof value.dirname === "string") {
+				// The result of a "path", "img", or "font" field
+				add(value.path);
+				(value.fallbacks || []).forEach(visit);
+				return;
+			}
+			Object.keys(value).forEach((key) => { visit(value[key]); });
+		};
+		visit(this.options.toObject());
+		(this.cards || []).forEach((cardOptions) => { visit(cardOptions.toObject()); });
+		return files;
+	}
+
+	/**
+	 * Writes the deck to a *.ccsb bundle, for opening in Card Creatr Studio.  The deck must have been loaded from a config file.
+	 *
+	 * The bundle contains every file returned by getSourceFiles(), at the same paths relative to the config file, so they must all be in the directory of the config file or below it.  The template, the data, and the back template, if any, are also stored under the names that bundles use; data that is not CSV is converted to CSV.  If there is no fields.json next to the config file, one is made from the columns of the data.
+	 */
+	pack(ccsbPath, next) {
+		if (!this.configPath) return next(new Error("Only decks loaded from a config file can be packed."));
+		var configPath = path.resolve(this.configPath);
+		var dirname = path.dirname(configPath);
+		var bundle = new CcsbReader(null);
+		async.auto({
+			"bundle": (_next) => {
+				bundle.load(_next);
+			},
+			"files": ["bundle", (results, _next) => {
+				log.trace("files");
+				async.eachSeries(this.getSourceFiles(), (file, __next) => {
+					let name = path.relative(dirname, file);
+					if (name.substr(0, 3) === ".." + path.sep || path.isAbsolute(name)) {
+						return __next(new Error("Cannot pack a file outside the directory of the config file: " + file));
+					}
+					fs.readFile(file, (err, buffer) => {
+						if (err) return __next(err);
+						bundle.writeFile((file === configPath) ? CcsbReader.CONFIG_PATH : name.split(path.sep).join("/"), buffer);
+						__next(null);
+					});
+				}, _next);
+			}],
+			"rows": (_next) => {
+				this._parseData(this.options.get("/data"), _next);
+			},
+			"data": ["rows", (results, _next) => {
+				log.trace("data");
+				var optionData = this.options.get("/data");
+				if (optionData.mimeType === "text/csv") return _next(null, optionData.buffer);
+				csv.objectsToCsvBuffer(results.rows, _next);
+			}],
+			"fields": ["rows", (results, _next) => {
+				log.trace("fields");
+				fs.readFile(path.join(dirname, CcsbReader.JSON_PATH), (err, buffer) => {
+					if (!err) return _next(null, buffer);
+					var names = [];
+					var fields = [];
+					for (let row of results.rows) {
+						for (let key of Object.keys(row)) {
+							let parsed = Options.parseFieldKey(key);
+							if (names.indexOf(parsed.name) !== -1) continue;
+							names.push(parsed.name);
+							fields.push(Object.assign(defaults.getBaseField(), {
+								name: parsed.name,
+								properties: Object.keys(parsed.properties),
+								array: parsed.array
+							}));
+						}
+					}
+					_next(null, Buffer.from(JSON.stringify({ fields }, null, "\t") + "\n", "utf-8"));
+				});
+			}],
+			"save": ["files", "data", "fields", (results, _next) => {
+				log.trace("save");
+				var optionBack = this.options.get("/back");
+				bundle.writeFile(CcsbReader.TEMPLATE_PATH, this.options.get("/template").buffer);
+				bundle.writeFile(CcsbReader.DATA_PATH, results.data);
+				bundle.writeFile(CcsbReader.JSON_PATH, results.fields);
+				if (optionBack && optionBack.buffer) bundle.writeFile(CcsbReader.BACK_PATH, optionBack.buffer);
+				bundle.setPath(ccsbPath);
+				bundle.save(_next);
+			}]
+		}, (err) => {
+			next(err || null);
+		});
+	}
+
+	/**
+	 * Reloads the deck after the given files have changed, doing as little work as possible:
+	 *
+	 *   - If only templates changed, they are recompiled.
+	 *   - If only the data file changed, it is parsed again, and only the cards whose rows changed are loaded again.
+	 *   - If only files referenced by cards changed, such as their images, only those cards are loaded again.
+	 *   - Otherwise, for example if the config file or a font changed, everything is loaded again.
+	 *
+	 * With the render cache enabled, rendering again afterwards renders only the cards that may have changed.  If changedFiles is null, everything is loaded again.
+	 */
+	update(changedFiles, next) {
+		this.prerendered = null;
+		var changed = (changedFiles || []).map((file) => { return path.resolve(file); });
+		var isChanged = (result) => {
+			return !!result && typeof result.path === "string" && changed.indexOf(path.resolve(result.path)) !== -1;
+		};
+		var templates = this.options.get("/templates") || {};
+		var templateResults = [this.options.get("/template"), this.options.get("/back")].concat(Object.keys(templates).map((name) => { return templates[name]; }));
+		var dataResult = this.options.get("/data");
+		var cardFiles = [];
+		(this.cards || []).forEach((cardOptions, i) => {
+			cardFiles[i] = this._getCardFiles(cardOptions);
+		});
+		var isCardFile = (file) => { return cardFiles.some((files) => { return files.indexOf(file) !== -1; }); };
+		var others = changed.filter((file) => {
+			return !templateResults.some((result) => { return result && path.resolve(result.path) === file; })
+				&& !(dataResult && path.resolve(dataResult.path) === file)
+				&& !isCardFile(file);
+		});
+
+		if (changedFiles === null || this.ccsb || !this.cards || others.length > 0) {
+			log.trace("update: everything");
+			this._resetOptions();
+			if (this.renderCache) this.renderCache = {};
+			return this.load(next);
+		}
+
+		async.series([
+			(_next) => {
+				var changedTemplates = templateResults.filter(isChanged);
+				if (changedTemplates.length === 0) return _next(null);
+				log.trace("update: templates");
+				this._rereadFiles(changedTemplates, (err) => {
+					if (err) return _next(err);
+					try {
+						if (isChanged(this.options.get("/template"))) this.renderer.build(this.options.get("/template").buffer.toString("utf-8"));
+						if (isChanged(this.options.get("/back"))) this._buildBackRenderer(this.options.get("/back"));
+						if (Object.keys(templates).some((name) => { return isChanged(templates[name]); })) this._buildTemplateRenderers(templates);
+					} catch(err) {
+						return _next(err);
+					}
+					if (this.renderCache) this.renderCache = {};
+					this.version = nextVersion++;
+					_next(null);
+				});
+			},
+			(_next) => {
+				// Cards whose files changed are loaded again from their rows.  If the data changed, the cards whose rows are unchanged are kept.
+				var reloadCards = (rows, oldCards) => {
+					async.mapSeries(rows, (row, __next) => {
+						var key = JSON.stringify(row);
+						var index = oldCards.findIndex((old) => { return old.key === key; });
+						if (index !== -1 && !oldCards[index].files.some((file) => { return changed.indexOf(file) !== -1; })) {
+							return __next(null, oldCards[index].cardOptions);
+						}
+						if (this.renderCache) {
+							delete this.renderCache["front:" + key];
+							delete this.renderCache["back:" + key];
+						}
+						var cardOptions = new Options();
+						cardOptions.addPrimary(row, dataResult.dirname);
+						cardOptions.load(__next);
+					}, (err, cards) => {
+						if (err) return _next(err);
+						this.rows = rows;
+						this.cards = cards;
+						_next(null);
+					});
+				};
+				var oldCards = this.cards.map((cardOptions, i) => {
+					return { key: JSON.stringify(this.rows[i]), files: cardFiles[i], cardOptions };
+				});
+				// Per-row back templates are compiled again when they are next used.
+				for (let backPath of Object.keys(this.backRenderers)) {
+					if (changed.indexOf(path.resolve(backPath)) !== -1) delete this.backRenderers[backPath];
+				}
+				if (!isChanged(dataResult)) {
+					if (!changed.some(isCardFile)) return _next(null);
+					log.trace("update: cards");
+					return reloadCards(this.rows, oldCards);
+				}
+				log.trace("update: data");
+				this._rereadFiles([dataResult], (err) => {
+					if (err) return _next(err);
+					this._parseData(dataResult, (err, rows) => {
+						if (err) return _next(err);
+						try {
+							rows = this._translateRows(this._filterRows(rows, this.options.get("/query")));
+						} catch(err) {
+							return _next(err);
+						}
+						// The rows are annotated with their directory when they are loaded, so compare them with annotated rows.
+						rows.forEach((row) => { row._dirname = dataResult.dirname; });
+						reloadCards(rows, oldCards);
+					});
+				});
+			}
+		], next);
+	}
+
+	/** Returns the absolute paths of the files loaded by the fields of a card, such as its image. */
+	_getCardFiles(cardOptions) {
+		var data = cardOptions.toObject();
+		return Object.keys(data).filter((key) => {
+			return data[key] && typeof data[key].path === "string" && typeof data[key].dirname === "string";
+		}).map((key) => {
+			return path.resolve(data[key].path);
+		});
+	}
+
+	/** Reads the files of "path" fields from disk again. */
+	_rereadFiles(results, next) {
+		async.each(results, (result, _next) => {
+			fs.readFile(result.path, (err, buffer) => {
+				if (err) return _next(err);
+				result.buffer = buffer;
+				result.dataUri = `data:${ result.mimeType };base64,${ buffer.toString("base64") }`;
+				_next(null);
+			});
+		}, next);
+	}
+
+	_addWarnings(cardOptions, index, side, warnings) {
+		for (let warning of warnings) {
+			// A field that only some rows have is optional, like a key left out of some objects in JSON data.
+			if (warning.type === "undefinedField" && this.dataFieldNames && this.dataFieldNames[warning.field]) continue;
+			this.warnings.push(Object.assign({
+				index,
+				id: cardOptions.get("/id"),
+				title: cardOptions.get("/title"),
+				side
+			}, warning));
+		}
+	}
+
+	/** Returns the problems found during the most recent render, such as text overflowing its box, missing images, and fields referenced by the template that are in neither the config file nor any row of the card data.  Each entry is an object { index, id, title, side, type, message, ... }, where side is "front" or "back".  See CardRenderer#render() for the types, and getUntranslated() for the type "untranslated". */
+	getReport() {
+		return this.warnings || [];
+	}
+
+	/** Returns the problems found in the config that do not prevent loading it, such as unknown fields that look like typos of known fields.  Each entry is an object { path, location, message, warning }, like the errors of a ConfigError. */
+	getConfigWarnings() {
+		return this.options.getSchemaWarnings();
+	}
+
+	/** Returns the size in pixels of a grid of cards or pages with the given dimensions, at the resolution given by their "dpi" value. */
+	_getPixelDimensions(dims, columns, rows) {
+		var dpi = dims.dpi || 72;
+		return {
+			unit: "px",
+			width: columns * Math.round(pdf.toPoints(dims.width, dims.unit) / 72 * dpi),
+			height: rows * Math.round(pdf.toPoints(dims.height, dims.unit) / 72 * dpi)
+		};
+	}
+
+	/** Finalizes each SVG directly in pixels so that the rasterizer renders it at the desired resolution. */
+	_finalizeInPixels(contents, pixelDims) {
+		return contents.map((content) => {
+			let svgHolder = new SvgHolder();
+			svgHolder.fonts = this.options.get("/fonts");
+			svgHolder.writeFontFaceCSS = (this.options.get("/fontRenderMode") === "auto");
+			svgHolder.dims = pixelDims;
+			svgHolder.content = content;
+			return svgHolder.finalizeToBuffer();
+		});
+	}
+
+	/** Page numbers: a positive number renders that page; -1 renders a single card; -2 renders all pages concatenated; -3 renders all pages concatenated with a back page after each front page; -4 renders the back of a single card. */
+	run(page, multiples, format, next) {
+		var { renderedCards, renderedBacks } = this._renderCards(null, page === -3 || page === -4);
+
 		// Duplicate cards as needed.
 		log.trace("multiples");
 		var cards = utils.multiplyCards(this.cards, renderedCards, multiples);
+		var backs = renderedBacks ? utils.multiplyCards(this.cards, renderedBacks, multiples) : null;
 
 		// Finalize the SVG.
 		log.trace("finalizing");
@@ -260,17 +936,24 @@ class ReadAndRender {
 		svgHolder.fonts = this.options.get("/fonts");
 		svgHolder.writeFontFaceCSS = (this.options.get("/fontRenderMode") === "auto");
 		if (page === -1) {
-			svgHolder.dims = this.options.get("/dimensions/card");
+			svgHolder.dims = this._getCardDimensions();
 			svgHolder.content = cards[0];
+		} else if (page === -4) {
+			if (!backs) {
+				throw new Error("No back template was found: add a \"back (path)\" entry to your config file.");
+			}
+			svgHolder.dims = this._getCardDimensions();
+			svgHolder.content = backs[0];
 		} else {
-			let pageRenderer = new PageRenderer(this.options.get("/viewports/page"), this.options.get("/layoutStrategy"), this.options.get("/renderReversed"));
+			let pageRenderer = this._makePageRenderer();
 			svgHolder.dims = this.options.get("/dimensions/page");
 			if (page === -2) {
 				let output = pageRenderer.renderConcatenated(cards);
 				svgHolder.content = output.string;
 				svgHolder.numPages = output.numPages;
 			} else if (page === -3) {
-				let output = pageRenderer.renderConcatenated(cards, { cardBacks: cards });
+				// Without a back template, the fronts are reused as the backs.
+				let output = pageRenderer.renderConcatenated(cards, { cardBacks: backs || cards });
 				svgHolder.content = output.string;
 				svgHolder.numPages = output.numPages;
 			} else {
@@ -291,10 +974,225 @@ class ReadAndRender {
 		} else if (format === "png") {
 			log.trace("png");
 			rasterize.svgToPng(svgBuffer, svgHolder.dims.width, svgHolder.dims.height, svgHolder.numPages, format, next);
+		} else if (format === "pdf") {
+			log.trace("pdf");
+			// The fonts are embedded into the PDF directly, so the pages do not need the @font-face CSS.
+			let pageBuffers = this._renderPages(page, cards, backs).map((content) => {
+				let pageHolder = new SvgHolder();
+				pageHolder.dims = svgHolder.dims;
+				pageHolder.writeFontFaceCSS = false;
+				pageHolder.content = content;
+				return pageHolder.finalizeToBuffer();
+			});
+			pdf.svgListToDestinationPdf(null, pageBuffers, svgHolder.dims, svgHolder.fonts, next);
 		} else {
 			throw new Error("Unknown format: " + format);
 		}
 	}
+
+	/** Renders the front of the card at the given index to an SVG buffer.  With the render cache enabled, the other cards are rendered only once. */
+	runCard(index) {
+		var { renderedCards } = this._renderCards();
+		return this._finalizeCard(renderedCards[index]);
+	}
+
+	_finalizeCard(content) {
+		var svgHolder = new SvgHolder();
+		svgHolder.fonts = this.options.get("/fonts");
+		svgHolder.writeFontFaceCSS = (this.options.get("/fontRenderMode") === "auto");
+		svgHolder.dims = this._getCardDimensions();
+		svgHolder.content = content;
+		return svgHolder.finalizeToBuffer();
+	}
+
+	/** Renders the front or, if back is true, the back of every card to a separate SVG or PNG, according to format.  Calls back with a list of objects { buffer, fields }, like runImages(). */
+	runCards(back, format, next) {
+		if (format === "png") return this.runImages(back ? -4 : -1, 1, next);
+		if (format !== "svg") return next(new Error("Unknown format: " + format));
+		var contents;
+		try {
+			let { renderedCards, renderedBacks } = this._renderCards(null, back);
+			if (back && !renderedBacks) {
+				throw new Error("No back template was found: add a \"back (path)\" entry to your config file.");
+			}
+			contents = back ? renderedBacks : renderedCards;
+		} catch(err) {
+			return next(err);
+		}
+		next(null, contents.map((content, i) => {
+			return {
+				buffer: this._finalizeCard(content),
+				fields: Object.assign({}, this.cards[i].toObject(), { index: i + 1 })
+			};
+		}));
+	}
+
+	/**
+	 * Renders every card to a separate file in outputDir, which is created if needed.  The options are:
+	 *
+	 *   format     "svg" (the default) or "png".
+	 *   back       If true, renders the backs of the cards instead of the fronts.
+	 *   filename   A file name pattern without the extension; defaults to "{id}_{title}".  The values are converted with utils.slugify(), and if several cards get the same file name, "-2", "-3", and so on are added to the later ones.  Cards whose name would be empty are named by their index, like "card-3".
+	 *   index      If set, the name of a JSON file to write in outputDir, which maps the id of each card to its file name.  Cards without an id are listed by their index, starting at 1, and an id shared by several cards maps to a list of file names.
+	 *
+	 * Calls back with the contents of the index, whether or not it was written.
+	 */
+	renderAll(outputDir, options, next) {
+		var format = options.format || "svg";
+		var pattern = options.filename || "{id}_{title}";
+		this.runCards(!!options.back, format, (err, images) => {
+			if (err) return next(err);
+			var used = Object.create(null);
+			var index = {};
+			var files = images.map((image) => {
+				let name = utils.formatFilename(pattern, image.fields, true).replace(/^[-_.]+|[-_.]+$/g, "") || ("card-" + image.fields.index);
+				let unique = name;
+				for (let i = 2; used[unique.toLowerCase()]; i++) {
+					unique = name + "-" + i;
+				}
+				used[unique.toLowerCase()] = true;
+				let filename = unique + "." + format;
+				let key = (image.fields.id != null && image.fields.id !== "") ? "" + image.fields.id : "" + image.fields.index;
+				if (!Object.prototype.hasOwnProperty.call(index, key)) {
+					index[key] = filename;
+				} else {
+					index[key] = [].concat(index[key], filename);
+				}
+				return { path: path.join(outputDir, filename), buffer: image.buffer };
+			});
+			if (options.index) {
+				files.push({
+					path: path.join(outputDir, options.index),
+					buffer: Buffer.from(JSON.stringify(index, null, "\t") + "\n", "utf-8")
+				});
+			}
+			fs.mkdir(outputDir, { recursive: true }, (err) => {
+				if (err) return next(err);
+				async.eachSeries(files, (file, _next) => {
+					utils.writeFileAtomic(file.path, file.buffer, _next);
+				}, (err) => {
+					next(err || null, index);
+				});
+			});
+		});
+	}
+
+	/** Returns the number of pages in the page layout, with each card printed the given number of times. */
+	getPageCount(multiples) {
+		var { renderedCards } = this._renderCards();
+		return this._makePageRenderer().render(utils.multiplyCards(this.cards, renderedCards, multiples)).length;
+	}
+
+	/**
+	 * Rasterizes every card or every page to a separate PNG, at the resolution given by the "dpi" value in the "dimensions" config.
+	 *
+	 * Page numbers: -1 renders every card; -2 renders every page; -3 renders every page with a back page after each front page; -4 renders the back of every card.
+	 *
+	 * Calls back with a list of objects { buffer, fields }, where "fields" contains the values available to filename patterns: "index" (starting at 1) plus, for cards, the fields of the card, and for pages, "page".
+	 */
+	runImages(page, multiples, next) {
+		var dims, contents, fieldsList;
+		try {
+			let { renderedCards, renderedBacks } = this._renderCards(null, page === -3 || page === -4);
+			if (page === -1 || page === -4) {
+				if (page === -4 && !renderedBacks) {
+					throw new Error("No back template was found: add a \"back (path)\" entry to your config file.");
+				}
+				dims = this._getCardDimensions();
+				contents = (page === -1) ? renderedCards : renderedBacks;
+				fieldsList = this.cards.map((cardOptions, i) => {
+					return Object.assign({}, cardOptions.toObject(), { index: i + 1 });
+				});
+			} else {
+				let cards = utils.multiplyCards(this.cards, renderedCards, multiples);
+				let backs = renderedBacks ? utils.multiplyCards(this.cards, renderedBacks, multiples) : null;
+				dims = this.options.get("/dimensions/page");
+				contents = this._renderPages(page, cards, backs);
+				fieldsList = contents.map((_, i) => {
+					return { index: i + 1, page: i + 1 };
+				});
+			}
+		} catch(err) {
+			return next(err);
+		}
+
+		log.trace("images");
+		var pixelDims = this._getPixelDimensions(dims, 1, 1);
+		var svgBuffers = this._finalizeInPixels(contents, pixelDims);
+		rasterize.svgListToPngs(svgBuffers, pixelDims.width, pixelDims.height, (err, pngBuffers) => {
+			if (err) return next(err);
+			next(null, pngBuffers.map((buffer, i) => {
+				return { buffer, fields: fieldsList[i] };
+			}));
+		});
+	}
+
+	/**
+	 * Lays out the cards as Tabletop Simulator deck sheets.  Calls back with a list of objects { path, buffer } for the files to be written: the sheet images, the back images, and, last, the saved-object JSON at jsonPath, which references the images by their absolute local paths.
+	 *
+	 * Without a back template, all cards share a plain back image.
+	 */
+	runTabletop(jsonPath, multiples, next) {
+		var dims = this.options.get("/dimensions/card");
+		var dirname = path.dirname(path.resolve(jsonPath));
+		var basename = path.basename(jsonPath, path.extname(jsonPath));
+		var sheets, backSheets, names;
+		try {
+			// Cards on sheets are cut at the cut line, so render them without bleed.
+			let viewport = Object.assign({}, this.options.get("/viewports/card"), { bleed: 0 });
+			let { renderedCards, renderedBacks } = this._renderCards(viewport, true);
+			sheets = tts.makeSheets(utils.multiplyCards(this.cards, renderedCards, multiples), viewport);
+			backSheets = renderedBacks ? tts.makeSheets(utils.multiplyCards(this.cards, renderedBacks, multiples), viewport) : null;
+			names = utils.multiplyCards(this.cards, this.cards.map((cardOptions) => {
+				return "" + (cardOptions.get("/title") || cardOptions.get("/id"));
+			}), multiples);
+		} catch(err) {
+			return next(err);
+		}
+
+		// Each sheet has its own size, so they are rasterized one at a time.
+		log.trace("tabletop");
+		var images = sheets.map((sheet, i) => {
+			return {
+				path: path.join(dirname, basename + "_" + (i + 1) + ".png"),
+				content: sheet.content,
+				pixelDims: this._getPixelDimensions(dims, sheet.numWidth, sheet.numHeight)
+			};
+		});
+		if (backSheets) {
+			images = images.concat(backSheets.map((sheet, i) => {
+				return {
+					path: path.join(dirname, basename + "_" + (i + 1) + "_back.png"),
+					content: sheet.content,
+					pixelDims: this._getPixelDimensions(dims, sheet.numWidth, sheet.numHeight)
+				};
+			}));
+		} else {
+			images.push({
+				path: path.join(dirname, basename + "_back.png"),
+				content: tts.DEFAULT_BACK,
+				pixelDims: this._getPixelDimensions(dims, 1, 1)
+			});
+		}
+		async.mapSeries(images, (image, _next) => {
+			let svgBuffers = this._finalizeInPixels([image.content], image.pixelDims);
+			rasterize.svgListToPngs(svgBuffers, image.pixelDims.width, image.pixelDims.height, (err, pngBuffers) => {
+				if (err) return _next(err);
+				_next(null, { path: image.path, buffer: pngBuffers[0] });
+			});
+		}, (err, files) => {
+			if (err) return next(err);
+			let imageUrls = files.map((file) => { return url.pathToFileURL(file.path).href; });
+			let faceUrls = imageUrls.slice(0, sheets.length);
+			let backUrls = backSheets ? imageUrls.slice(sheets.length) : imageUrls[sheets.length];
+			let deck = tts.makeDeckObject(basename, sheets, names, faceUrls, backUrls);
+			files.push({
+				path: path.resolve(jsonPath),
+				buffer: Buffer.from(JSON.stringify(deck, null, "\t") + "\n", "utf-8")
+			});
+			next(null, files);
+		});
+	}
 }
 
 module.exports = ReadAndRender;
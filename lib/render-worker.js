@@ -0,0 +1,54 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* render-worker.js
+ *
+ * The script run by the worker threads of RenderPool, in pool.js.  It handles two messages from the pool, one at a time:
+ *
+ *   { type: "load", path, optionsOverride, optionsFallback, cacheDir }  Loads the deck, replacing the one loaded before, with a DiskCache in cacheDir if it is set.
+ *   { type: "render", rows }  Renders the rows of card data, given as JSON, with ReadAndRender#_renderRows().
+ *
+ * Each message is answered with either { result } or { error }, where error is the message of the error.
+ */
+
+"use strict";
+
+const DiskCache = require("./cache");
+const parentPort = require("worker_threads").parentPort;
+const ReadAndRender = require("./read-and-render");
+
+var inst = null;
+
+function reply(err, result) {
+	parentPort.postMessage(err ? { error: err.message } : { result });
+}
+
+parentPort.on("message", (message) => {
+	if (message.type === "load") {
+		inst = new ReadAndRender(message.path, message.optionsOverride, message.optionsFallback);
+		if (message.cacheDir) inst.setDiskCache(new DiskCache(message.cacheDir));
+		inst.load((err) => {
+			reply(err || null, null);
+		});
+	} else if (message.type === "render") {
+		if (!inst) return reply(new Error("No deck was loaded"));
+		inst._renderRows(JSON.parse(message.rows), reply);
+	} else {
+		reply(new Error("Unknown message type: " + message.type));
+	}
+});
@@ -18,8 +18,10 @@
 "use strict";
 
 const fs = require("fs");
+const hyphenate = require("./hyphenate");
 const path = require("path");
 const pug = require("pug");
+const richtext = require("./richtext");
 const utils = require("./utils");
 const xmlbuilder = require("xmlbuilder");
 
@@ -34,18 +36,72 @@ const DEFAULT_TEXT_ATTRIBUTES = {
 const DEFAULT_TEXT_WRAP_ATTRIBUTES = {
 	width: 100,
 	lineHeight: null,
-	paragraphSpacing: null
+	paragraphSpacing: null,
+	lang: null
 };
 
-// Placeholder for inserting icons into rich text.
-const ICON_SYMBOL = "——";
+const DEFAULT_TEXT_FIT_ATTRIBUTES = {
+	height: null,
+	minFontSize: null,
+	verticalAlign: "top"
+};
+
+// Each step of +textFit reduces the font size by this factor until the text fits.
+const TEXT_FIT_STEP = 0.95;
+
+const DEFAULT_RICH_TEXT_ATTRIBUTES = {
+	boldFont: "bold",
+	italicFont: "italic",
+	boldItalicFont: "boldItalic"
+};
+
+// Slant of synthesized italic text, as the horizontal shift per unit of height above the baseline.
+const SYNTHETIC_ITALIC_SLANT = 0.2;
 
 const MIXINS_PATH = path.join(__dirname, "mixins.pug");
 
+// Allow for rounding errors when checking whether text fits.
+const OVERFLOW_TOLERANCE = 0.01;
+
+/** Returns the names of the variables that a compiled pug template looks up in its locals object.  Pug checks for every free variable in the template with the "in" operator before running the template. */
+function getLocalNames(template) {
+	var names = [];
+	var locals = new Proxy({}, {
+		has: (target, key) => {
+			names.push(key);
+			return false;
+		}
+	});
+	template(locals);
+	return names;
+}
+
+/** Finds the file fields, like images, that could not be loaded and were replaced by the placeholder image.  Returns a list of field names like "/image". */
+function findPlaceholders(data, previousFieldName) {
+	var result = [];
+	for (let key of Object.keys(data)) {
+		let value = data[key];
+		if (!value || typeof value !== "object" || Buffer.isBuffer(value)) continue;
+		if (value.placeholder) {
+			result.push({ field: previousFieldName + "/" + key, path: value.path });
+		} else if (!value.buffer) {
+			result = result.concat(findPlaceholders(value, previousFieldName + "/" + key));
+		}
+	}
+	return result;
+}
+
+function round(number) {
+	return Math.round(number * 100) / 100;
+}
+
 class CardRenderer {
 	constructor() {
 		this.mixinsString = null;
+		// The pug source of the template, including the mixins, for the keys of the DiskCache.
+		this.source = null;
 		this.template = null;
+		this.mixinLocalNames = null;
 	}
 
 	load(next) {
@@ -61,13 +117,19 @@ class CardRenderer {
 	}
 
 	build(templateString) {
-		this.template = pug.compile(this.mixinsString + "\n" + templateString);
+		this.source = this.mixinsString + "\n" + templateString;
+		this.template = pug.compile(this.source);
+		if (this.mixinLocalNames === null) {
+			// Variables used by the mixins are not necessarily used by the template, so they are not reported as undefined fields.
+			this.mixinLocalNames = getLocalNames(pug.compile(this.mixinsString));
+		}
 		return;
 	}
 
 	buildCopy(templateString) {
 		let copy = new CardRenderer();
 		copy.mixinsString = this.mixinsString;
+		copy.mixinLocalNames = this.mixinLocalNames;
 		copy.build(templateString);
 		return copy;
 	}
@@ -115,16 +177,201 @@ class CardRenderer {
 		return options;
 	}
 
-	_makeTextPath(line, options) {
+	_applyTextFitDefaults(attributes, fonts, options) {
+		// Convert from hyphens to camel case
+		utils.moveProperty(attributes, "min-font-size", "minFontSize");
+		utils.moveProperty(attributes, "vertical-align", "verticalAlign");
+		// Apply the wrapping defaults
+		options = this._applyTextWrapDefaults(attributes, fonts, options || {});
+		// Apply the fitting defaults, using the same cloning trick as _applyTextWrapDefaults
+		Object.assign(options, DEFAULT_TEXT_FIT_ATTRIBUTES, attributes, Object.assign({}, options));
+		if (options.minFontSize === null) {
+			options.minFontSize = 0.5 * options.fontSize;
+		}
+		// Clear the options out of the attributes object.  Any remaining attributes will be assigned to the child SVG elements.
+		for (let key of Object.keys(DEFAULT_TEXT_FIT_ATTRIBUTES)) {
+			delete attributes[key];
+		}
+		return options;
+	}
+
+	/** Wraps the paragraphs at decreasing font sizes until they fit inside the box given by options.width and options.height, but not below options.minFontSize.  The line height and paragraph spacing shrink in proportion to the font size.  Updates options.fontSize, options.lineHeight, options.paragraphSpacing, and options.y (from the top of the box to the baseline of the first line, according to options.verticalAlign), and returns an array of wrapped lines for each paragraph. */
+	_fitText(paragraphs, options) {
+		paragraphs = paragraphs.map((text) => {
+			if (text && text.txt) text = text.txt;
+			return text || "";
+		});
+		const font = options.wrappr.font;
+		const initialFontSize = options.fontSize;
+		const lineHeightRatio = options.lineHeight / initialFontSize;
+		const paragraphSpacingRatio = options.paragraphSpacing / initialFontSize;
+		var fontSize = initialFontSize;
+		var wrapped, blockHeight;
+		for (;;) {
+			wrapped = paragraphs.map((text) => { return this._wrapText(text, fontSize, options); });
+			let numLines = wrapped.reduce((sum, lines) => { return sum + lines.length; }, 0);
+			// The block extends from the ascender of the first line to the descender of the last line.
+			blockHeight = (font.ascender - font.descender) / font.unitsPerEm * fontSize;
+			blockHeight += Math.max(numLines - 1, 0) * lineHeightRatio * fontSize;
+			blockHeight += Math.max(paragraphs.length - 1, 0) * paragraphSpacingRatio * fontSize;
+			let fitsHeight = (options.height === null || blockHeight <= options.height);
+			let fitsWidth = wrapped.every((lines) => {
+				return lines.every((line) => { return options.wrappr.computeWidth(line, fontSize) <= options.width; });
+			});
+			if ((fitsHeight && fitsWidth) || fontSize <= options.minFontSize) break;
+			fontSize = Math.max(fontSize * TEXT_FIT_STEP, options.minFontSize);
+		}
+		options.fontSize = fontSize;
+		options.lineHeight = lineHeightRatio * fontSize;
+		options.paragraphSpacing = paragraphSpacingRatio * fontSize;
+		var freeSpace = (options.height === null) ? 0 : options.height - blockHeight;
+		if (options.verticalAlign === "middle") {
+			options.y += freeSpace / 2;
+		} else if (options.verticalAlign === "bottom") {
+			options.y += freeSpace;
+		} else if (options.verticalAlign !== "top") {
+			throw new Error("Unknown vertical-align in +textFit(): \"" + options.verticalAlign + "\"");
+		}
+		options.y += font.ascender / font.unitsPerEm * fontSize;
+		return wrapped;
+	}
+
+	/** Wraps a paragraph into lines no wider than options.width.  If options.lang is set, words that do not fit at the end of a line are hyphenated according to the patterns for that language. */
+	_wrapText(text, fontSize, options) {
+		if (!options.lang) {
+			return options.wrappr.wrap(text, fontSize, options.width);
+		}
+		const measure = (string) => { return options.wrappr.computeWidth(string, fontSize); };
+		var lines = [];
+		var line = "";
+		for (let word of String(text).split(/\s+/)) {
+			if (!word) continue;
+			let candidate = line ? line + " " + word : word;
+			if (measure(candidate) <= options.width) {
+				line = candidate;
+				continue;
+			}
+			let pieces = hyphenate.syllables(word, options.lang);
+			for (;;) {
+				if (!line && measure(pieces.join("")) <= options.width) {
+					// The rest of the word fits on a line by itself.
+					line = pieces.join("");
+					break;
+				}
+				// Find the longest start of the word that fits on the current line with a hyphen.
+				let found = false;
+				for (let k = pieces.length - 1; k >= 1; k--) {
+					let start = pieces.slice(0, k).join("");
+					let hyphenated = (line ? line + " " : "") + start + (/-$/.test(start) ? "" : "-");
+					if (measure(hyphenated) <= options.width) {
+						lines.push(hyphenated);
+						pieces = pieces.slice(k);
+						line = "";
+						found = true;
+						break;
+					}
+				}
+				if (!found && line) {
+					// Nothing fits: move the word to the next line and try again.
+					lines.push(line);
+					line = "";
+				} else if (!found) {
+					// The word cannot be broken any further.
+					line = pieces.join("");
+					break;
+				}
+			}
+		}
+		if (line) lines.push(line);
+		return lines;
+	}
+
+	/** Returns the words of a justified line with their positions, or null if the line is not justified.  The last line of a paragraph is not justified. */
+	_justifyWords(line, options, lastLine) {
+		if (options.align !== "justify" || lastLine || typeof options.width !== "number") return null;
+		var words = String(line).split(" ").filter((word) => { return word !== ""; });
+		if (words.length < 2) return null;
+		var widths = words.map((word) => { return options.wrappr.computeWidth(word, options.fontSize); });
+		var totalWidth = widths.reduce((sum, width) => { return sum + width; }, 0);
+		var gap = (options.width - totalWidth) / (words.length - 1);
+		var x = options.x;
+		return words.map((word, i) => {
+			let result = { text: word, x };
+			x += widths[i] + gap;
+			return result;
+		});
+	}
+
+	/** Reduces options.fontSize, but not below minFontSize, until the line is no wider than maxWidth. */
+	_fitTextLine(line, options, maxWidth, minFontSize) {
 		line = new String(line);  // in case a non-string argument like a number is passed
+		if (minFontSize == null) {
+			minFontSize = 0.5 * options.fontSize;
+		}
+		while (options.fontSize > minFontSize && options.wrappr.computeWidth(line, options.fontSize) > maxWidth) {
+			options.fontSize = Math.max(options.fontSize * TEXT_FIT_STEP, minFontSize);
+		}
+		return options;
+	}
+
+	/** Checks that a block of text stays inside its box, if any, and inside the card viewport, adding a "textOverflow" warning if not.  The box is an object { width, height }, where either dimension may be null. */
+	_checkTextBlock(mixinName, lines, options, firstBaseline, lastBaseline, box, viewport, warnings) {
+		if (lines.length === 0) return;
+		const font = options.wrappr.font;
+		// Lines of rich text are objects with their own width; other lines are strings.
+		var width = Math.max.apply(null, lines.map((line) => {
+			return (typeof line === "object" && "width" in line) ? line.width : options.wrappr.computeWidth(new String(line), options.fontSize);
+		}));
+		var left = options.x;
 		if (options.align === "center") {
+			left -= width/2;
+		} else if (options.align === "right") {
+			left -= width;
+		}
+		var top = firstBaseline - font.ascender / font.unitsPerEm * options.fontSize;
+		var bottom = lastBaseline - font.descender / font.unitsPerEm * options.fontSize;
+		var height = bottom - top;
+		var excerpt = String((typeof lines[0] === "object" && "text" in lines[0]) ? lines[0].text : lines[0]).substr(0, 40);
+		var warn = (message, available) => {
+			warnings.push({
+				type: "textOverflow",
+				message: mixinName + ": text \"" + excerpt + "\" " + message,
+				text: excerpt,
+				measured: { width: round(width), height: round(height) },
+				available
+			});
+		};
+		if (box && ((box.width != null && width > box.width + OVERFLOW_TOLERANCE) || (box.height != null && height > box.height + OVERFLOW_TOLERANCE))) {
+			if (box.height == null) {
+				warn("is " + round(width) + " wide, which does not fit in its width of " + box.width, box);
+			} else {
+				warn("measures " + round(width) + "x" + round(height) + ", which does not fit in its " + box.width + "x" + box.height + " box", box);
+			}
+		}
+		var minX = viewport.xOffset || 0;
+		var minY = viewport.yOffset || 0;
+		var maxX = minX + viewport.width;
+		var maxY = minY + viewport.height;
+		if (left < minX - OVERFLOW_TOLERANCE || left + width > maxX + OVERFLOW_TOLERANCE || top < minY - OVERFLOW_TOLERANCE || bottom > maxY + OVERFLOW_TOLERANCE) {
+			warn("extends from (" + round(left) + ", " + round(top) + ") to (" + round(left + width) + ", " + round(bottom) + "), outside of the card from (" + minX + ", " + minY + ") to (" + maxX + ", " + maxY + ")", { width: viewport.width, height: viewport.height });
+		}
+	}
+
+	_makeTextPath(line, options, lastLine) {
+		line = new String(line);  // in case a non-string argument like a number is passed
+		var words = this._justifyWords(line, options, lastLine);
+		if (words) {
+			return words.map((word) => {
+				return options.wrappr.font.getPath(word.text, word.x, options.y, options.fontSize).toPathData();
+			}).join(" ");
+		} else if (options.align === "center") {
 			let width = options.wrappr.computeWidth(line, options.fontSize);
 			return options.wrappr.font.getPath(line, options.x-width/2, options.y, options.fontSize).toPathData();
 		} else if (options.align === "right") {
 			let width = options.wrappr.computeWidth(line, options.fontSize);
 			return options.wrappr.font.getPath(line, options.x-width, options.y, options.fontSize).toPathData();
 		} else {
-			// options.align === "left"
+			// options.align === "left", or the last line of justified text
 			return options.wrappr.font.getPath(line, options.x, options.y, options.fontSize).toPathData();
 		}
 	}
@@ -149,6 +396,10 @@ class CardRenderer {
 		// SVG expects the hyphenated form of fontFamily and fontSize
 		utils.moveProperty(result, "fontFamily", "font-family");
 		utils.moveProperty(result, "fontSize", "font-size");
+		// The +textFit options only describe the box, and are not SVG attributes
+		for (let key of Object.keys(DEFAULT_TEXT_FIT_ATTRIBUTES)) {
+			delete result[key];
+		}
 		for (let key of Object.keys(result)) {
 			if (typeof result[key] === "object") {
 				delete result[key];
@@ -157,51 +408,121 @@ class CardRenderer {
 		return result;
 	}
 
-	_draft_parseRichText(content, options, boldFont="bold") {
-		// if (!(boldFont in _fonts)) throw `richTextWrap is missing the \"${boldFont}\" font`;
-		const STYLE_CHARS = { "*": `font-family: ${boldFont};`, "_": "font-style: italic; font-weight: 900;" };
-		let words = content.trim().split(/\s+/);
-		let currentStyle = new Set();
-		let wordData = {};
-		words = words.map((word, i) => {
-			wordData[i] = { icons: [] };
-			word = word.replaceAll(/\[(\w+)(\+?)\]/g, (match, key, includeText) => {
-				wordData[i].icons.push(key);
-				return ICON_SYMBOL + (includeText ? key : "");
-			});
-
-			while (word[0] in STYLE_CHARS) {
-				currentStyle.add(STYLE_CHARS[word[0]]);
-				word = word.substring(1);
-			}
+	_applyRichTextWrapDefaults(attributes, fonts, options) {
+		// Convert from hyphens to camel case
+		utils.moveProperty(attributes, "bold-font", "boldFont");
+		utils.moveProperty(attributes, "italic-font", "italicFont");
+		utils.moveProperty(attributes, "bold-italic-font", "boldItalicFont");
+		// Apply the wrapping defaults
+		options = this._applyTextWrapDefaults(attributes, fonts, options || {});
+		// Apply the rich text defaults, using the same cloning trick as _applyTextWrapDefaults
+		Object.assign(options, DEFAULT_RICH_TEXT_ATTRIBUTES, attributes, Object.assign({}, options));
+		// Clear the options out of the attributes object.  Any remaining attributes will be assigned to the child SVG elements.
+		for (let key of Object.keys(DEFAULT_RICH_TEXT_ATTRIBUTES)) {
+			delete attributes[key];
+		}
+		return options;
+	}
 
-			wordData[i].style = Array.from(currentStyle).join(" ");
+	/** See richtext.js.  Advances options.y past the text, like +textWrap. */
+	_layoutRichText(paragraphs, options, fonts, assets) {
+		return richtext.layout(paragraphs, options, fonts, assets);
+	}
 
-			while (word[word.length - 1] in STYLE_CHARS) {
-				currentStyle.delete(STYLE_CHARS[word[word.length - 1]]);
-				word = word.substring(0, word.length - 1);
+	_makeRichTextPath(run, options) {
+		var path = run.wrappr.font.getPath(run.text, run.x, run.y, options.fontSize);
+		if (run.slant) {
+			// Synthesize italics by shearing the glyphs about the baseline.
+			let shear = (x, y) => { return x + (run.y - y) * SYNTHETIC_ITALIC_SLANT; };
+			for (let command of path.commands) {
+				if ("x" in command) command.x = shear(command.x, command.y);
+				if ("x1" in command) command.x1 = shear(command.x1, command.y1);
+				if ("x2" in command) command.x2 = shear(command.x2, command.y2);
 			}
+		}
+		return path.toPathData();
+	}
 
-			return word;
+	/** Attributes for the text element containing a line of rich text in "auto" font render mode.  Each run is a tspan with its own position. */
+	_makeRichTextAttributes(line, options, attributes) {
+		return Object.assign({}, attributes, {
+			x: line.x,
+			y: line.y,
+			"font-family": options.fontFamily,
+			"font-size": options.fontSize
 		});
-		return { stripped: words.join(" "), data: wordData };
 	}
 
-	render(cardOptions, globalOptions, viewport, extraOptions) {
+	/** Attributes for a run of rich text: a path in "paths" font render mode, or a tspan in "auto" font render mode. */
+	_makeRichTextRunAttributes(run, attributes, fontRenderMode) {
+		var result = (fontRenderMode === "paths") ? Object.assign({}, attributes) : { x: run.x, "font-family": run.fontName };
+		if (run.color) {
+			result.fill = run.color;
+		}
+		if (run.slant && fontRenderMode !== "paths") {
+			result["font-style"] = "italic";
+		}
+		return result;
+	}
+
+	/** If the warnings argument is an array, problems found while rendering the card are added to it as objects { type, message, ... }, where type is "textOverflow", "missingImage", or "undefinedField". */
+	render(cardOptions, globalOptions, viewport, extraOptions, warnings) {
+		// The bleed extends the view box beyond the cut line so that templates can draw backgrounds past the edge of the card.
+		var bleed = viewport.bleed || 0;
 		var locals = {
+			_checkTextBlock: (mixinName, lines, options, firstBaseline, lastBaseline, box) => {
+				if (warnings) {
+					this._checkTextBlock(mixinName, lines, options, firstBaseline, lastBaseline, box, viewport, warnings);
+				}
+			},
+			_bleed: bleed,
 			_fonts: globalOptions.get("/fonts"),
 			_fontRenderMode: globalOptions.get("/fontRenderMode"),
 			_applyTextDefaults: this._applyTextDefaults.bind(this),
 			_applyTextWrapDefaults: this._applyTextWrapDefaults.bind(this),
+			_applyTextFitDefaults: this._applyTextFitDefaults.bind(this),
+			_fitText: this._fitText.bind(this),
+			_fitTextLine: this._fitTextLine.bind(this),
 			_makeTextPath: this._makeTextPath.bind(this),
 			_makeTextAttributes: this._makeTextAttributes.bind(this),
+			_wrapText: this._wrapText.bind(this),
+			_justifyWords: this._justifyWords.bind(this),
+			_applyRichTextWrapDefaults: this._applyRichTextWrapDefaults.bind(this),
+			_layoutRichText: this._layoutRichText.bind(this),
+			_makeRichTextPath: this._makeRichTextPath.bind(this),
+			_makeRichTextAttributes: this._makeRichTextAttributes.bind(this),
+			_makeRichTextRunAttributes: this._makeRichTextRunAttributes.bind(this),
 		};
 		Object.assign(locals, globalOptions.toObject(), cardOptions.toObject(), extraOptions || {});
 
+		if (warnings) {
+			for (let placeholder of findPlaceholders(cardOptions.toObject(), "")) {
+				warnings.push({
+					type: "missingImage",
+					message: "Image not found for field " + placeholder.field + ": " + placeholder.path + "; using the placeholder image instead",
+					field: placeholder.field,
+					path: placeholder.path
+				});
+			}
+			// Report the variables that the template uses but that are not defined.
+			locals = new Proxy(locals, {
+				has: (target, key) => {
+					if (typeof key === "string" && !(key in target) && !(key in global) && this.mixinLocalNames.indexOf(key) === -1) {
+						warnings.push({
+							type: "undefinedField",
+							message: "The template references \"" + key + "\", which is not a field in the card data or the config file",
+							field: key
+						});
+					}
+					return key in target;
+				}
+			});
+		}
+
 		let svg = xmlbuilder.create("svg", { headless: true });
 		svg.att({
 			width: 1, height: 1,
-			viewBox: `${viewport.xOffset||0} ${viewport.yOffset||0} ${viewport.width} ${viewport.height}`,
+			viewBox: `${(viewport.xOffset||0) - bleed} ${(viewport.yOffset||0) - bleed} ${viewport.width + 2*bleed} ${viewport.height + 2*bleed}`,
 			preserveAspectRatio: "none"
 		});
 		svg.raw(this.template(locals));
@@ -0,0 +1,274 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* richtext.js
+ *
+ * This file parses and lays out the rich text used by the +richTextWrap mixin.  The markup is:
+ *
+ *   **bold**
+ *   _italic_                 (only at the start or end of a word, so that snake_case is left alone)
+ *   {color:red}...{/}        (any SVG color)
+ *   {font:title}...{/}       (any font family from the config file)
+ *   [key]                    (an inline icon from "assets", sized to the line)
+ *   \*, \_, \{, \[, \\       (literal characters)
+ *
+ * parse: Converts a string of markup into a list of items, each either { text, style } or { icon, style }, where style is an object { bold, italic, color, font }.
+ *
+ * layout: Wraps paragraphs of markup into lines, measuring every span with the font it will be drawn in.  Each line is an object { x, y, width, text, runs, icons }, where runs are pieces of text with the same style, each with its own position, and icons are images with their position and size.  Both font render modes draw the runs at these positions, so the layout is identical in both modes.
+ *
+ * Bold and italic text use the fonts named by options.boldFont, options.italicFont, and options.boldItalicFont.  A bold font is required for bold text.  If there is no italic font, the regular font is slanted instead.
+ */
+
+"use strict";
+
+const DEFAULT_STYLE = {
+	bold: false,
+	italic: false,
+	color: null,
+	font: null
+};
+
+// Icons are as tall as the font size.  The top of the icon is this fraction of the font size above the baseline.
+const ICON_RISE = 0.8;
+
+const SPAN_REGEX = /\{(color|font):([^{}]+)\}/y;
+const SPAN_END_REGEX = /\{\/\}/y;
+const ICON_REGEX = /\[(\w+)\]/y;
+const ITALIC_BEFORE_REGEX = /[\s([{"'—*-]/;
+const ITALIC_AFTER_REGEX = /[\s.,;:!?)\]}"'—*-]/;
+
+function parse(text) {
+	var items = [];
+	var style = DEFAULT_STYLE;
+	var spans = [];
+	var buffer = "";
+	var flush = () => {
+		if (buffer) items.push({ text: buffer, style });
+		buffer = "";
+	};
+	var setStyle = (changes) => {
+		flush();
+		style = Object.assign({}, style, changes);
+	};
+	var i = 0;
+	while (i < text.length) {
+		let c = text[i];
+		let match;
+		if (c === "\\" && i + 1 < text.length) {
+			buffer += text[i+1];
+			i += 2;
+		} else if (text.substr(i, 2) === "**") {
+			setStyle({ bold: !style.bold });
+			i += 2;
+		} else if (c === "_" && !style.italic && (i === 0 || ITALIC_BEFORE_REGEX.test(text[i-1])) && i + 1 < text.length && !/\s/.test(text[i+1])) {
+			setStyle({ italic: true });
+			i++;
+		} else if (c === "_" && style.italic && (i + 1 === text.length || ITALIC_AFTER_REGEX.test(text[i+1]))) {
+			setStyle({ italic: false });
+			i++;
+		} else if (c === "{" && (match = matchAt(SPAN_REGEX, text, i))) {
+			spans.push(style);
+			setStyle({ [match[1]]: match[2].trim() });
+			i += match[0].length;
+		} else if (c === "{" && spans.length > 0 && (match = matchAt(SPAN_END_REGEX, text, i))) {
+			// Restore the color and font from before the span, but keep the bold and italic state.
+			let previous = spans.pop();
+			setStyle({ color: previous.color, font: previous.font });
+			i += match[0].length;
+		} else if (c === "[" && (match = matchAt(ICON_REGEX, text, i))) {
+			flush();
+			items.push({ icon: match[1], style });
+			i += match[0].length;
+		} else {
+			buffer += c;
+			i++;
+		}
+	}
+	flush();
+	return items;
+}
+
+function matchAt(regex, text, index) {
+	regex.lastIndex = index;
+	return regex.exec(text);
+}
+
+function isSameStyle(a, b) {
+	return a.bold === b.bold && a.italic === b.italic && a.color === b.color && a.font === b.font;
+}
+
+/** Returns { name, wrappr, slant } for the font used to draw text in the given style. */
+function resolveFont(style, options, fonts) {
+	var baseName = style.font || options.fontFamily;
+	if (!fonts[baseName]) {
+		throw new Error("Unknown font family in rich text: \"" + baseName + "\"");
+	}
+	if (style.bold && style.italic && fonts[options.boldItalicFont]) {
+		return { name: options.boldItalicFont, wrappr: fonts[options.boldItalicFont].wrappr, slant: false };
+	}
+	if (style.bold) {
+		if (!fonts[options.boldFont]) {
+			throw new Error("Bold text in +richTextWrap requires a font named \"" + options.boldFont + "\": add it to the fonts in your config file, or choose a different font with the bold-font attribute");
+		}
+		return { name: options.boldFont, wrappr: fonts[options.boldFont].wrappr, slant: style.italic };
+	}
+	if (style.italic && fonts[options.italicFont]) {
+		return { name: options.italicFont, wrappr: fonts[options.italicFont].wrappr, slant: false };
+	}
+	return { name: baseName, wrappr: fonts[baseName].wrappr, slant: style.italic };
+}
+
+/** Splits the items of a paragraph into words, each a list of pieces, and the spaces between them.  Each piece is measured with its own font. */
+function tokenize(items, options, fonts, assets) {
+	var tokens = [];
+	var word = null;
+	for (let item of items) {
+		let font = resolveFont(item.style, options, fonts);
+		if (item.icon) {
+			let image = assets && assets[item.icon];
+			if (!image || !image.dataUri) {
+				throw new Error("Unknown icon in rich text: \"" + item.icon + "\": add it to the assets in your config file");
+			}
+			let height = options.fontSize;
+			let width = (image.dims) ? height * image.dims.width / image.dims.height : height;
+			if (!word) tokens.push(word = { pieces: [], width: 0 });
+			word.pieces.push({ icon: image, style: item.style, width, height });
+			word.width += width;
+			continue;
+		}
+		for (let part of item.text.split(/(\s+)/)) {
+			if (part === "") continue;
+			if (/^\s/.test(part)) {
+				tokens.push({ space: true, style: item.style, font, width: font.wrappr.computeWidth(" ", options.fontSize) });
+				word = null;
+			} else {
+				let width = font.wrappr.computeWidth(part, options.fontSize);
+				if (!word) tokens.push(word = { pieces: [], width: 0 });
+				word.pieces.push({ text: part, style: item.style, font, width });
+				word.width += width;
+			}
+		}
+	}
+	return tokens;
+}
+
+/** Greedy line breaking, like WordWrappr, but with the measured widths of the words and spaces. */
+function breakLines(tokens, maxWidth) {
+	var lines = [];
+	var current = { items: [], width: 0 };
+	var pendingSpace = null;
+	for (let token of tokens) {
+		if (token.space) {
+			if (current.items.length > 0) pendingSpace = token;
+			continue;
+		}
+		let spaceWidth = pendingSpace ? pendingSpace.width : 0;
+		if (current.items.length > 0 && current.width + spaceWidth + token.width > maxWidth) {
+			lines.push(current);
+			current = { items: [], width: 0 };
+			pendingSpace = null;
+		}
+		if (pendingSpace) {
+			current.items.push(pendingSpace);
+			current.width += pendingSpace.width;
+			pendingSpace = null;
+		}
+		current.items.push(token);
+		current.width += token.width;
+	}
+	if (current.items.length > 0) lines.push(current);
+	return lines;
+}
+
+/** Converts a line of words and spaces into runs of text with the same style and a list of icons, all positioned starting at x. */
+function positionLine(line, x, y) {
+	var runs = [];
+	var icons = [];
+	var text = "";
+	var run = null;
+	for (let item of line.items) {
+		if (item.space) {
+			if (run && isSameStyle(run.style, item.style)) {
+				run.text += " ";
+			} else {
+				run = null;
+			}
+			text += " ";
+			x += item.width;
+			continue;
+		}
+		for (let piece of item.pieces) {
+			if (piece.icon) {
+				icons.push({ image: piece.icon, x, y: y - ICON_RISE * piece.height, width: piece.width, height: piece.height });
+				run = null;
+			} else if (run && isSameStyle(run.style, piece.style)) {
+				run.text += piece.text;
+				text += piece.text;
+			} else {
+				run = {
+					text: piece.text,
+					x,
+					y,
+					style: piece.style,
+					fontName: piece.font.name,
+					wrappr: piece.font.wrappr,
+					slant: piece.font.slant,
+					color: piece.style.color
+				};
+				runs.push(run);
+				text += piece.text;
+			}
+			x += piece.width;
+		}
+	}
+	return { runs, icons, text };
+}
+
+/** Lays out the paragraphs starting with the first baseline at options.y, and advances options.y past the last paragraph, like +textWrap. */
+function layout(paragraphs, options, fonts, assets) {
+	var lines = [];
+	for (let text of paragraphs) {
+		if (text && text.txt) text = text.txt;
+		if (!text) text = "";
+		let tokens = tokenize(parse(String(text)), options, fonts, assets);
+		for (let line of breakLines(tokens, options.width)) {
+			let x = options.x;
+			if (options.align === "center") {
+				x -= line.width / 2;
+			} else if (options.align === "right") {
+				x -= line.width;
+			}
+			let positioned = positionLine(line, x, options.y);
+			lines.push({
+				x,
+				y: options.y,
+				width: line.width,
+				text: positioned.text,
+				runs: positioned.runs,
+				icons: positioned.icons
+			});
+			options.y += options.lineHeight;
+		}
+		options.y += options.paragraphSpacing;
+	}
+	return lines;
+}
+
+module.exports = {
+	parse,
+	layout
+};
@@ -0,0 +1,349 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* schema.js
+ *
+ * This file contains a declarative schema for the Card Creatr configuration file and the logic to check configuration sources against it.  Options runs the checks during loading when a schema is set with Options#setSchema().
+ *
+ * Each schema node has a "type", which is one of:
+ *   "object": A nested object.  "fields" describes the known fields; "required" lists the fields that must be present, after all sources are merged, whenever the object is present.  Unknown fields are errors unless "additional" is true, in which case unknown fields that look like typos of known fields are only warnings, since they may be custom fields like "date" (close to "data"), unless the known field is an "object" or a "map", like "viewports".  "check", if present, is a function (data, path) that checks the merged object and returns a list of errors, for rules that involve several fields.
+ *   "map": A nested object with arbitrary field names.  "values", if present, describes every field.
+ *   "path", "font": A field whose key has the "path" or "font" property, like "template (path)".  The value is a string.  A font may also be a non-empty list of strings: the font followed by its fallback fonts.
+ *   "string", "number", "boolean": A primitive value.  "values", if present, lists the allowed values.
+ *   "any": Anything.
+ *
+ * class Schema: The public interface to this file.  Schema.CONFIG is the schema for the configuration file.
+ *
+ * Schema#validateSource: Checks a single raw source, like the parsed config file, for fields with the wrong type and unknown fields.  Required fields are not checked, since they may come from a different source.
+ *
+ * Schema#validateRequired: Checks the merged options data for missing required fields and runs the "check" functions.
+ *
+ * The errors are objects { path, location, message }, with "warning" set to true for problems that do not make the source invalid.  When the source came from a file, "location" is the file name and the line number of the field, such as "config.hjson:12".  The line number is found by searching the file for the field keys in order, which is accurate for all but the most unusual files.
+ */
+
+"use strict";
+
+const ConfigError = require("./errors").ConfigError;
+const Options = require("./options");
+
+const DIMENSIONS_SCHEMA = {
+	type: "object",
+	required: ["unit", "width", "height"],
+	fields: {
+		unit: { type: "string", values: ["em", "ex", "px", "pt", "pc", "cm", "mm", "in"] },
+		width: { type: "number" },
+		height: { type: "number" },
+		dpi: { type: "number" }
+	}
+};
+
+const CONFIG_SCHEMA = {
+	type: "object",
+	required: ["template", "data", "viewports", "dimensions"],
+	// Custom fields are available to the template.
+	additional: true,
+	fields: {
+		template: { type: "path" },
+		data: { type: "path" },
+		dataSheet: { type: "string" },
+		back: { type: "path" },
+		templates: { type: "map", values: { type: "path" } },
+		templateColumn: { type: "string" },
+		fonts: { type: "map", values: { type: "font" } },
+		locale: { type: "string" },
+		locales: {
+			type: "map",
+			values: {
+				type: "object",
+				fields: {
+					strings: { type: "path" },
+					fonts: { type: "map", values: { type: "font" } }
+				}
+			}
+		},
+		assets: { type: "map" },
+		guide: { type: "string" },
+		viewports: {
+			type: "object",
+			required: ["card"],
+			check: checkBleed,
+			fields: {
+				card: {
+					type: "object",
+					required: ["width", "height"],
+					fields: {
+						width: { type: "number" },
+						height: { type: "number" },
+						xOffset: { type: "number" },
+						yOffset: { type: "number" },
+						bleed: { type: "number" }
+					}
+				},
+				page: {
+					type: "object",
+					required: ["width", "height", "cardWidth", "cardHeight", "printMargin"],
+					fields: {
+						width: { type: "number" },
+						height: { type: "number" },
+						cardWidth: { type: "number" },
+						cardHeight: { type: "number" },
+						printMargin: { type: "number" },
+						bleed: { type: "number" },
+						cropMarks: { type: "boolean" },
+						cropMarkLength: { type: "number" },
+						cropMarkWeight: { type: "number" },
+						cropMarkColor: { type: "string" }
+					}
+				}
+			}
+		},
+		dimensions: {
+			type: "object",
+			required: ["card"],
+			fields: {
+				card: DIMENSIONS_SCHEMA,
+				page: DIMENSIONS_SCHEMA
+			}
+		},
+		layoutStrategy: { type: "string", values: ["tight", "evenSpacing"] },
+		renderReversed: { type: "boolean" },
+		fontRenderMode: { type: "string", values: ["auto", "paths"] },
+		grid: {
+			type: "object",
+			fields: {
+				color: { type: "string" },
+				weight: { type: "number" },
+				opacity: { type: "number" },
+				size: { type: "number" }
+			}
+		},
+		query: {
+			type: "object",
+			fields: {
+				id: { type: "any" },
+				title: { type: "any" },
+				where: { type: "string" }
+			}
+		}
+	}
+};
+
+function editDistance(a, b) {
+	a = a.toLowerCase();
+	b = b.toLowerCase();
+	var previous = [];
+	for (let j=0; j<=b.length; j++) previous.push(j);
+	for (let i=1; i<=a.length; i++) {
+		let current = [i];
+		for (let j=1; j<=b.length; j++) {
+			let cost = (a[i-1] === b[j-1]) ? 0 : 1;
+			current.push(Math.min(previous[j] + 1, current[j-1] + 1, previous[j-1] + cost));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/** Returns the known field name closest to the given name, or null if none is close enough to be a likely typo. */
+function suggestField(name, knownNames) {
+	var best = null;
+	var bestDistance = Infinity;
+	for (let knownName of knownNames) {
+		let distance = editDistance(name, knownName);
+		if (distance < bestDistance) {
+			best = knownName;
+			bestDistance = distance;
+		}
+	}
+	return (bestDistance <= Math.min(2, Math.floor(name.length / 2))) ? best : null;
+}
+
+function escapeRegExp(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Finds the line number of a field in the text of a config file by searching for each key of the field path in order. */
+function findLine(text, keys) {
+	var index = 0;
+	for (let key of keys) {
+		let regex = new RegExp("[\"']?\\b" + escapeRegExp(key) + "\\b(\\s*\\([\\w,]+\\))?(\\s*\\[\\])?[\"']?\\s*:", "g");
+		regex.lastIndex = index;
+		let match = regex.exec(text);
+		if (match === null) return null;
+		index = match.index;
+	}
+	return text.substring(0, index).split("\n").length;
+}
+
+function describeValue(value) {
+	if (value === null) return "null";
+	if (value instanceof Array) return "an array";
+	if (typeof value === "object") return "an object";
+	if (typeof value === "string") return "the string " + JSON.stringify(value);
+	return "the " + typeof value + " " + value;
+}
+
+function checkField(node, field, fullPath, keys, addError) {
+	var value = field.value;
+	// Null means unset.
+	if (value === null) return;
+	var isObject = (typeof value === "object" && !(value instanceof Array));
+	switch (node.type) {
+		case "object":
+		case "map":
+			if (!isObject) {
+				addError(fullPath, keys, "expected an object, but found " + describeValue(value));
+			} else {
+				checkObject(node, value, fullPath, keys, addError);
+			}
+			return;
+		case "path":
+		case "font": {
+			// A font may be a list of files: the font followed by its fallbacks.
+			let isFontList = (node.type === "font" && value instanceof Array && value.length > 0 && value.every((item) => { return typeof item === "string"; }));
+			if (typeof value !== "string" && !isFontList) {
+				addError(fullPath, keys, "expected a file path" + ((node.type === "font") ? " or a list of file paths" : "") + ", but found " + describeValue(value));
+			} else if (!field.properties[node.type]) {
+				addError(fullPath, keys, "expected the \"" + node.type + "\" property, as in \"" + field.name + " (" + node.type + ")\"");
+			}
+			return;
+		}
+		case "number":
+			// Numbers can also be given as strings with the "number" or "uint" property, like "width (number)": "2.5".
+			if ((field.properties.number || field.properties.uint) && typeof value === "string" && !isNaN(parseFloat(value))) {
+				return;
+			}
+			// falls through
+		case "string":
+		case "boolean":
+			if (typeof value !== node.type) {
+				addError(fullPath, keys, "expected a " + node.type + ", but found " + describeValue(value));
+			} else if (node.values && node.values.indexOf(value) === -1) {
+				addError(fullPath, keys, "expected one of " + node.values.map((v) => { return JSON.stringify(v); }).join(", ") + ", but found " + describeValue(value));
+			}
+			return;
+	}
+}
+
+function checkObject(node, source, path, keys, addError) {
+	var knownNames = Object.keys(node.fields || {});
+	for (let key of Object.keys(source)) {
+		// Skip private fields prefixed with '_' and fields having an undefined value
+		if (key[0] === "_" || typeof source[key] === "undefined") continue;
+		let field;
+		try {
+			field = Options.parseFieldKey(key);
+		} catch(err) {
+			addError(path + "/" + key, keys.concat([key]), err.message);
+			continue;
+		}
+		field.value = source[key];
+		let fullPath = path + "/" + field.name;
+		let fieldKeys = keys.concat([field.name]);
+		if (node.type === "map") {
+			if (node.values) {
+				checkField(node.values, field, fullPath, fieldKeys, addError);
+			}
+		} else if (knownNames.indexOf(field.name) !== -1) {
+			checkField(node.fields[field.name], field, fullPath, fieldKeys, addError);
+		} else {
+			let suggestion = suggestField(field.name, knownNames);
+			if (suggestion) {
+				// A custom field is never a nested section of the config, so a near miss of a section name is always an error.
+				let isSection = (node.fields[suggestion].type === "object" || node.fields[suggestion].type === "map");
+				addError(fullPath, fieldKeys, "unknown field; did you mean \"" + suggestion + "\"?", !!node.additional && !isSection);
+			} else if (!node.additional) {
+				addError(fullPath, fieldKeys, "unknown field; expected one of " + knownNames.join(", "));
+			}
+		}
+	}
+}
+
+class Schema {
+	constructor(root) {
+		this.root = root;
+	}
+
+	/** The location, if given, is an object { filename, text } describing the file from which the source was parsed.  The result includes the warnings. */
+	validateSource(source, location) {
+		var errors = [];
+		var addError = (path, keys, message, warning) => {
+			let line = (location && location.text) ? findLine(location.text, keys) : null;
+			let error = {
+				path,
+				location: location ? (location.filename + (line ? ":" + line : "")) : null,
+				message
+			};
+			if (warning) error.warning = true;
+			errors.push(error);
+		};
+		checkObject(this.root, source, "", [], addError);
+		return errors;
+	}
+
+	validateRequired(data) {
+		return checkRequired(this.root, data, "");
+	}
+
+	/** Creates a single ConfigError from a list of validation errors.  The list is available as the "errors" property. */
+	makeError(errors) {
+		return new ConfigError("Invalid configuration:\n" + errors.map(Schema.formatError).join("\n"), errors);
+	}
+
+	static formatError(error) {
+		return (error.location ? error.location + ": " : "") + error.path + ": " + error.message;
+	}
+}
+
+/** The page bleed is the card bleed in page coordinates, so it must equal the card bleed scaled by the size of the card on the page. */
+function checkBleed(viewports, path) {
+	var card = viewports.card;
+	var page = viewports.page;
+	if (!card || !page || !card.width) return [];
+	var expected = (card.bleed || 0) * page.cardWidth / card.width;
+	var actual = page.bleed || 0;
+	if (Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected))) return [];
+	return [{
+		path: path + "/page/bleed",
+		location: null,
+		message: "the page bleed " + actual + " does not match the card bleed " + (card.bleed || 0) + ", which is " + (Math.round(expected * 100) / 100) + " in page coordinates"
+	}];
+}
+
+function checkRequired(node, data, path) {
+	var errors = [];
+	for (let name of (node.required || [])) {
+		if (typeof data[name] === "undefined" || data[name] === null) {
+			errors.push({ path: path + "/" + name, location: null, message: "required field is missing" });
+		}
+	}
+	if (node.check) {
+		errors = errors.concat(node.check(data, path));
+	}
+	for (let name of Object.keys(node.fields || {})) {
+		let child = node.fields[name];
+		let value = data[name];
+		if (child.type === "object" && value && typeof value === "object") {
+			errors = errors.concat(checkRequired(child, value, path + "/" + name));
+		}
+	}
+	return errors;
+}
+
+Schema.CONFIG = new Schema(CONFIG_SCHEMA);
+
+module.exports = Schema;
@@ -0,0 +1,214 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* server.js
+ *
+ * This file contains PreviewServer, the HTTP server behind "card-creatr serve", which renders a deck on demand for previewing in a web browser.  Everything is rendered from the local files and the pages load nothing from the internet, so the preview works offline.  The routes are:
+ *
+ *   /               An index page with a thumbnail of every card and links to the pages
+ *   /card/:id.svg   The front of the card with the given id
+ *   /page/:n.svg    Page n of the page layout, starting at 1
+ *   /events         Server-sent events: a "reload" event is sent after the deck changes
+ *
+ * The deck is updated with DeckWatcher whenever one of its files changes, and the index page reloads itself when it receives the "reload" event.  Problems loading or rendering the deck are shown in the browser, and the server keeps running so that they can be fixed.
+ */
+
+"use strict";
+
+const DeckWatcher = require("./watch").DeckWatcher;
+const http = require("http");
+const log = require("./logger")("server");
+const Schema = require("./schema");
+
+const RELOAD_SCRIPT = "new EventSource(\"/events\").addEventListener(\"reload\", function() { location.reload(); });";
+
+const STYLE = [
+	"body { font-family: sans-serif; margin: 1em; }",
+	".cards { display: flex; flex-wrap: wrap; gap: 1em; }",
+	"figure { margin: 0; text-align: center; }",
+	"figure img { height: 240px; border: 1px solid #ccc; }",
+	".error { color: #a00; white-space: pre-wrap; }",
+	".warning { color: #850; }"
+].join("\n");
+
+function escapeHtml(string) {
+	return String(string).replace(/[&<>"']/g, (c) => {
+		return "&#" + c.charCodeAt(0) + ";";
+	});
+}
+
+/** Returns the message of an error; for an invalid config, one line per problem. */
+function formatError(err) {
+	if (err.errors) return err.errors.map(Schema.formatError).join("\n");
+	return err.message;
+}
+
+class PreviewServer {
+	/** The instance should not be loaded yet: listen() loads it.  The page layout prints each card the given number of times. */
+	constructor(inst, multiples) {
+		this.inst = inst;
+		this.multiples = multiples || 1;
+		this.inst.enableRenderCache();
+		this.loaded = false;
+		this.error = null;
+		this.queue = [];
+		this.clients = [];
+		this.deckWatcher = new DeckWatcher(inst, this._onUpdate.bind(this));
+		this.server = http.createServer(this._onRequest.bind(this));
+	}
+
+	/** Loads the deck, starts watching its files, and starts listening on the given port and host.  Calls back with the URL of the index page. */
+	listen(port, host, next) {
+		this.inst.load((err) => {
+			log.trace("loaded");
+			this.error = err || null;
+			this.loaded = true;
+			this.deckWatcher.start(!!err);
+			this._processQueue();
+		});
+		var onError = (err) => {
+			next(err);
+		};
+		this.server.once("error", onError);
+		this.server.listen(port, host, () => {
+			this.server.removeListener("error", onError);
+			next(null, "http://" + host + ":" + this.server.address().port + "/");
+		});
+	}
+
+	close(next) {
+		this.deckWatcher.close();
+		for (let res of this.clients) res.end();
+		this.clients = [];
+		this.server.close(next);
+	}
+
+	_onUpdate(err, next) {
+		log.trace("update");
+		this.error = err;
+		for (let res of this.clients) res.write("event: reload\ndata: \n\n");
+		next();
+		this._processQueue();
+	}
+
+	/** Requests wait while the deck is loading or updating. */
+	_isReady() {
+		return this.loaded && !this.deckWatcher.updating;
+	}
+
+	_processQueue() {
+		while (this.queue.length > 0 && this._isReady()) {
+			let request = this.queue.shift();
+			this._onRequest(request.req, request.res);
+		}
+	}
+
+	_onRequest(req, res) {
+		if (!this._isReady()) {
+			this.queue.push({ req, res });
+			return;
+		}
+		var pathname;
+		try {
+			pathname = decodeURIComponent(req.url.split("?")[0]);
+		} catch(err) {
+			return this._send(res, 400, "text/plain", "Bad request");
+		}
+		log.trace("request", pathname);
+		if (pathname === "/events") return this._onEvents(req, res);
+		var isIndex = (pathname === "/");
+		var match;
+		try {
+			if (this.error) throw this.error;
+			if (isIndex) {
+				this._send(res, 200, "text/html", this._renderIndex());
+			} else if ((match = /^\/card\/(.+)\.svg$/.exec(pathname))) {
+				let index = this.inst.cards.findIndex((cardOptions) => { return String(cardOptions.get("/id")) === match[1]; });
+				if (index === -1) return this._send(res, 404, "text/plain", "No card has the id " + match[1]);
+				this._send(res, 200, "image/svg+xml", this.inst.runCard(index));
+			} else if ((match = /^\/page\/([0-9]+)\.svg$/.exec(pathname))) {
+				let page = parseInt(match[1]);
+				if (page < 1 || page > this.inst.getPageCount(this.multiples)) return this._send(res, 404, "text/plain", "No page " + page);
+				this._send(res, 200, "image/svg+xml", this.inst.run(page, this.multiples, "svg"));
+			} else {
+				this._send(res, 404, "text/plain", "Not found");
+			}
+		} catch(err) {
+			if (isIndex) {
+				this._send(res, 500, "text/html", this._renderPage("Error", "<p class=\"error\">" + escapeHtml(formatError(err)) + "</p>"));
+			} else {
+				this._send(res, 500, "text/plain", formatError(err));
+			}
+		}
+	}
+
+	_onEvents(req, res) {
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-store"
+		});
+		res.write(": connected\n\n");
+		this.clients.push(res);
+		req.on("close", () => {
+			this.clients = this.clients.filter((client) => { return client !== res; });
+		});
+	}
+
+	_send(res, status, type, body) {
+		res.writeHead(status, {
+			"Content-Type": type + "; charset=utf-8",
+			// The content changes whenever the deck changes.
+			"Cache-Control": "no-store"
+		});
+		res.end(body);
+	}
+
+	_renderPage(title, body) {
+		return "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n<title>" + escapeHtml(title) + "</title>\n<style>\n" + STYLE + "\n</style>\n</head>\n<body>\n" + body + "\n<script>" + RELOAD_SCRIPT + "</script>\n</body>\n</html>\n";
+	}
+
+	_renderIndex() {
+		var pageCount = this.inst.getPageCount(this.multiples);
+		var body = "<h1>" + this.inst.cards.length + " card(s)</h1>\n<div class=\"cards\">\n";
+		for (let cardOptions of this.inst.cards) {
+			let id = String(cardOptions.get("/id"));
+			let title = cardOptions.get("/title");
+			let href = "/card/" + encodeURIComponent(id) + ".svg";
+			body += "<figure><a href=\"" + href + "\"><img src=\"" + href + "\" alt=\"" + escapeHtml(title || id) + "\"></a><figcaption>" + escapeHtml(title || id) + "</figcaption></figure>\n";
+		}
+		body += "</div>\n<h1>" + pageCount + " page(s)</h1>\n<ul>\n";
+		for (let page = 1; page <= pageCount; page++) {
+			body += "<li><a href=\"/page/" + page + ".svg\">Page " + page + "</a></li>\n";
+		}
+		body += "</ul>\n";
+		var report = this.inst.getReport();
+		if (report.length > 0) {
+			body += "<h1>" + report.length + " warning(s)</h1>\n<ul>\n";
+			for (let warning of report) {
+				let card = "card " + (warning.index + 1);
+				if (warning.id != null) card += " (id " + warning.id + ")";
+				if (warning.side === "back") card += ", back";
+				body += "<li class=\"warning\">" + escapeHtml(card + ": " + warning.message) + "</li>\n";
+			}
+			body += "</ul>\n";
+		}
+		return this._renderPage("Card Creatr", body);
+	}
+}
+
+module.exports = PreviewServer;
@@ -0,0 +1,183 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* shaping.js
+ *
+ * This file contains ShapingWrappr, which wraps the WordWrappr of every font so that text in scripts that need shaping is drawn correctly in the "paths" font render mode.  opentype.js, which WordWrappr uses, draws one glyph per character from left to right, which is fine for Latin text but not for right-to-left scripts like Arabic and Hebrew, scripts with joining forms like Arabic, or scripts whose glyphs are reordered and combined like Devanagari.
+ *
+ * Text containing such characters goes through a shaping pipeline written in pure JavaScript, so it works offline:
+ *
+ *   1. bidi-js splits the text into runs of the same direction, following the Unicode Bidirectional Algorithm, orders the runs for display, and mirrors characters like parentheses in right-to-left runs.
+ *   2. fontkit shapes each run with the OpenType features of the font (GSUB and GPOS): joining forms, ligatures, mark positioning, and kerning.
+ *
+ * The result is an opentype.js Path, like the one from opentype.js itself, so the mixins treat both the same way.  Other text is drawn by opentype.js exactly as before.  Wrapping works on the text in logical order, and each line is reordered separately, as the bidirectional algorithm requires.
+ *
+ * The modules and the fontkit copy of each font are loaded the first time they are needed.
+ */
+
+"use strict";
+
+const utils = require("./utils");
+
+// Text containing characters in any of these ranges is shaped: combining marks, Hebrew, Arabic, Syriac, Thaana, NKo, the Indic scripts, Thai, Lao, Tibetan, Myanmar, Khmer, joiners and directional formatting characters, presentation forms, and variation selectors.  Characters outside the Basic Multilingual Plane, such as emoji, are also shaped.
+const COMPLEX_RANGES = [
+	[0x0300, 0x036F],
+	[0x0590, 0x08FF],
+	[0x0900, 0x0FFF],
+	[0x1000, 0x109F],
+	[0x1780, 0x17FF],
+	[0x200C, 0x200F],
+	[0x202A, 0x202E],
+	[0x2066, 0x2069],
+	[0xFB1D, 0xFDFF],
+	[0xFE00, 0xFE0F],
+	[0xFE20, 0xFE2F],
+	[0xFE70, 0xFEFF]
+];
+
+// Text containing only code points up to this one is never shaped, which saves checking every character of most Latin text against the ranges.
+const MAX_SIMPLE_CODE_POINT = 0x02FF;
+
+var bidi = null;
+var fontkit = null;
+
+function needsShaping(text) {
+	text = String(text);
+	for (let c of text) {
+		let codePoint = c.codePointAt(0);
+		if (codePoint <= MAX_SIMPLE_CODE_POINT) continue;
+		if (codePoint > 0xFFFF) return true;
+		for (let range of COMPLEX_RANGES) {
+			if (codePoint >= range[0] && codePoint <= range[1]) return true;
+		}
+	}
+	return false;
+}
+
+/** Splits the text into runs of the same embedding level, in display order.  Each run is { text, rtl }, with the text in logical order, ready for shaping. */
+function getDisplayRuns(text) {
+	if (!bidi) bidi = require("bidi-js")();
+	var levels = bidi.getEmbeddingLevels(text);
+
+	// Mirror characters like "(" in right-to-left runs.
+	var chars = text.split("");
+	bidi.getMirroredCharactersMap(text, levels.levels).forEach((c, i) => { chars[i] = c; });
+
+	// Group the characters into runs of the same level.
+	var runIds = [];
+	var runs = [];
+	for (let i = 0; i < chars.length; i++) {
+		let level = levels.levels[i];
+		if (runs.length === 0 || runs[runs.length - 1].level !== level) {
+			runs.push({ text: "", level, rtl: (level % 2 === 1) });
+		}
+		runs[runs.length - 1].text += chars[i];
+		runIds.push(runs.length - 1);
+	}
+
+	// Reorder the characters for display, and read off the order of the runs.
+	for (let segment of bidi.getReorderSegments(text, levels)) {
+		let reversed = runIds.slice(segment[0], segment[1] + 1).reverse();
+		runIds.splice(segment[0], reversed.length, ...reversed);
+	}
+	var result = [];
+	runIds.forEach((runId, i) => {
+		if (i === 0 || runIds[i - 1] !== runId) result.push(runs[runId]);
+	});
+	return result;
+}
+
+class ShapingWrappr {
+	constructor(wrappr, buffer) {
+		this.wrappr = wrappr;
+		this.buffer = buffer;
+		this.fontkitFont = null;
+		// The metrics and glyph lookup are those of the opentype.js font; only getPath is replaced.
+		this.font = Object.create(wrappr.font);
+		this.font.getPath = this.getPath.bind(this);
+	}
+
+	/** Returns the glyphs of the text as { glyph, x, y } in display order, in font units, and the total advance. */
+	_shape(text) {
+		if (!this.fontkitFont) {
+			if (!fontkit) fontkit = require("fontkit");
+			this.fontkitFont = fontkit.create(this.buffer);
+		}
+		var glyphs = [];
+		var advance = 0;
+		for (let run of getDisplayRuns(text)) {
+			let glyphRun = this.fontkitFont.layout(run.text, undefined, undefined, undefined, run.rtl ? "rtl" : "ltr");
+			glyphRun.glyphs.forEach((glyph, i) => {
+				let position = glyphRun.positions[i];
+				glyphs.push({ glyph, x: advance + position.xOffset, y: position.yOffset });
+				advance += position.xAdvance;
+			});
+		}
+		return { glyphs, advance };
+	}
+
+	computeWidth(text, fontSize) {
+		if (!needsShaping(text)) return this.wrappr.computeWidth(text, fontSize);
+		return this._shape(String(text)).advance * fontSize / this.fontkitFont.unitsPerEm;
+	}
+
+	wrap(text, fontSize, maxWidth) {
+		if (!needsShaping(text)) return this.wrappr.wrap(text, fontSize, maxWidth);
+		return utils.wrapWords(text, maxWidth, (string) => { return this.computeWidth(string, fontSize); });
+	}
+
+	/** Like opentype.js Font#getPath: the path of the text with the baseline starting at (x, y). */
+	getPath(text, x, y, fontSize) {
+		text = String(text);
+		if (!needsShaping(text)) return this.wrappr.font.getPath(text, x, y, fontSize);
+		var shaped = this._shape(text);
+		var scale = fontSize / this.fontkitFont.unitsPerEm;
+		// Start with an empty opentype.js Path, and add the glyph outlines to it.  fontkit's y axis points up, and SVG's points down.
+		var path = this.wrappr.font.getPath("", x, y, fontSize);
+		for (let item of shaped.glyphs) {
+			let px = (value) => { return x + (item.x + value) * scale; };
+			let py = (value) => { return y - (item.y + value) * scale; };
+			for (let command of item.glyph.path.commands) {
+				let a = command.args;
+				switch (command.command) {
+					case "moveTo":
+						path.commands.push({ type: "M", x: px(a[0]), y: py(a[1]) });
+						break;
+					case "lineTo":
+						path.commands.push({ type: "L", x: px(a[0]), y: py(a[1]) });
+						break;
+					case "quadraticCurveTo":
+						path.commands.push({ type: "Q", x1: px(a[0]), y1: py(a[1]), x: px(a[2]), y: py(a[3]) });
+						break;
+					case "bezierCurveTo":
+						path.commands.push({ type: "C", x1: px(a[0]), y1: py(a[1]), x2: px(a[2]), y2: py(a[3]), x: px(a[4]), y: py(a[5]) });
+						break;
+					case "closePath":
+						path.commands.push({ type: "Z" });
+						break;
+				}
+			}
+		}
+		return path;
+	}
+}
+
+module.exports = {
+	needsShaping,
+	getDisplayRuns,
+	ShapingWrappr
+};
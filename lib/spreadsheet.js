@@ -0,0 +1,76 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* spreadsheet.js
+ *
+ * This file reads card data from Excel (*.xlsx) and OpenDocument (*.ods) spreadsheets, as an alternative to csv.js.  The first row of the sheet is the header, following the same conventions as CSV files: "[]" for array columns and "(props)" for field properties.  Formula cells contribute the value cached in the file when it was last saved.
+ */
+
+"use strict";
+
+const utils = require("./utils");
+const XLSX = require("@e965/xlsx");
+
+const SPREADSHEET_MIME_TYPES = [
+	"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+	"application/vnd.oasis.opendocument.spreadsheet"
+];
+
+function isSpreadsheet(mimeType) {
+	return SPREADSHEET_MIME_TYPES.indexOf(mimeType) !== -1;
+}
+
+/** If sheetName is not given, the first sheet in the workbook is used. */
+function spreadsheetBufferToObjectsSync(buffer, sheetName) {
+	var workbook = XLSX.read(buffer, { type: "buffer" });
+	if (!sheetName) {
+		sheetName = workbook.SheetNames[0];
+	}
+	var sheet = workbook.Sheets[sheetName];
+	if (!sheet) {
+		throw new Error("Cannot find sheet \"" + sheetName + "\" in spreadsheet.  Available sheets: " + workbook.SheetNames.join(", "));
+	}
+	// Read cells as strings, like the CSV parser does.  Numbers are not formatted so that they can be parsed by "(uint)" and "(number)" fields.
+	var rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, rawNumbers: true, defval: "", blankrows: false });
+	// Skip columns without a header, which often contain notes outside of the card data.
+	var header = rows[0] || [];
+	rows = rows.map((row) => {
+		return row.map((cell) => { return "" + cell; }).filter((_, i) => { return header[i] !== ""; });
+	});
+	return utils.addDefaultIds(utils.csvToObjects(rows));
+}
+
+function spreadsheetBufferToObjects(buffer, sheetName, next) {
+	var objects;
+	try {
+		objects = spreadsheetBufferToObjectsSync(buffer, sheetName);
+	} catch(err) {
+		process.nextTick(() => {
+			next(err);
+		});
+		return;
+	}
+	process.nextTick(() => {
+		next(null, objects);
+	});
+}
+
+module.exports = {
+	isSpreadsheet,
+	spreadsheetBufferToObjects,
+	spreadsheetBufferToObjectsSync
+};
@@ -60,6 +60,16 @@ class SvgHolder {
 		for (let fontName of Object.keys(this.fonts)) {
 			let info = this.fonts[fontName];
 			styleString += `@font-face { font-family: "${fontName}"; src: url("${info.dataUri}"); }\n`;
+			if (info.fallbacks && info.fallbacks.length > 0) {
+				// Each fallback font gets its own family, and a CSS rule, which takes precedence over the font-family attribute, adds the fallback families to the text that uses this font.
+				let families = [`"${fontName}"`];
+				info.fallbacks.forEach((fallback, i) => {
+					let fallbackName = `${fontName} fallback ${i+1}`;
+					styleString += `@font-face { font-family: "${fallbackName}"; src: url("${fallback.dataUri}"); }\n`;
+					families.push(`"${fallbackName}"`);
+				});
+				styleString += `[font-family="${fontName}"] { font-family: ${families.join(", ")}; }\n`;
+			}
 		}
 		return styleString;
 	}
@@ -0,0 +1,130 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* tts.js
+ *
+ * This file lays out cards for Tabletop Simulator (TTS).  TTS imports a custom deck as one or more "sheets": grid images of up to 10 by 7 cards, where the last slot of the grid is reserved for the image shown for hidden cards.  The deck itself is described by a saved-object JSON file that references the sheet images.
+ *
+ * makeSheets: Tiles rendered card SVGs into sheets.  The output is SVG content in card viewport coordinates, ready to be finalized with SvgHolder and rasterized.
+ *
+ * makeDeckObject: Creates the saved-object JSON for a deck, given the sheets and the URLs of their images.
+ */
+
+"use strict";
+
+const PageRenderer = require("./page");
+
+const MAX_COLUMNS = 10;
+const MAX_ROWS = 7;
+const MAX_CARDS_PER_SHEET = MAX_COLUMNS * MAX_ROWS - 1;
+
+// Plain back image, used when the deck has no back template
+const DEFAULT_BACK = "<rect x=\"0\" y=\"0\" width=\"1\" height=\"1\" fill=\"#D9D9D9\"/>";
+
+const DEFAULT_TRANSFORM = {
+	posX: 0, posY: 1, posZ: 0,
+	rotX: 0, rotY: 180, rotZ: 180,
+	scaleX: 1, scaleY: 1, scaleZ: 1
+};
+
+function makeSheets(cards, viewport) {
+	var sheets = [];
+	for (let i=0; i<cards.length; i+=MAX_CARDS_PER_SHEET) {
+		let chunk = cards.slice(i, i + MAX_CARDS_PER_SHEET);
+		// TTS requires at least two columns and two rows.
+		let numWidth = Math.max(2, Math.min(MAX_COLUMNS, chunk.length));
+		let numHeight = Math.max(2, Math.ceil(chunk.length / numWidth));
+		let pageRenderer = new PageRenderer({
+			width: numWidth * viewport.width,
+			height: numHeight * viewport.height,
+			cardWidth: viewport.width,
+			cardHeight: viewport.height,
+			printMargin: 0
+		}, "tight", false);
+		sheets.push({
+			content: pageRenderer.render(chunk)[0],
+			numWidth,
+			numHeight,
+			numCards: chunk.length
+		});
+	}
+	return sheets;
+}
+
+/**
+ * Arguments:
+ *   name: The nickname of the deck.
+ *   sheets: The result of makeSheets().
+ *   names: The nickname of each card, in the same order as the cards passed to makeSheets().
+ *   faceUrls: The URL of the image for each sheet.
+ *   backUrls: The URL of the back image for each sheet, or a single URL if all cards share the same back.
+ */
+function makeDeckObject(name, sheets, names, faceUrls, backUrls) {
+	var uniqueBack = (backUrls instanceof Array);
+	var customDeck = {};
+	var cardObjects = [];
+	sheets.forEach((sheet, i) => {
+		// Deck keys start at 1, and card IDs are the deck key followed by the two-digit index in the sheet.
+		let deckKey = i + 1;
+		customDeck[deckKey] = {
+			FaceURL: faceUrls[i],
+			BackURL: uniqueBack ? backUrls[i] : backUrls,
+			NumWidth: sheet.numWidth,
+			NumHeight: sheet.numHeight,
+			BackIsHidden: true,
+			UniqueBack: uniqueBack,
+			Type: 0
+		};
+		for (let j=0; j<sheet.numCards; j++) {
+			cardObjects.push({
+				Name: "Card",
+				Nickname: names[i * MAX_CARDS_PER_SHEET + j] || "",
+				CardID: deckKey * 100 + j,
+				Transform: Object.assign({}, DEFAULT_TRANSFORM),
+				CustomDeck: { [deckKey]: customDeck[deckKey] }
+			});
+		}
+	});
+
+	// A deck with a single card is imported as a lone card instead.
+	var objectState;
+	if (cardObjects.length === 1) {
+		objectState = cardObjects[0];
+	} else {
+		objectState = {
+			Name: "DeckCustom",
+			Nickname: name,
+			Transform: Object.assign({}, DEFAULT_TRANSFORM),
+			DeckIDs: cardObjects.map((card) => { return card.CardID; }),
+			CustomDeck: customDeck,
+			ContainedObjects: cardObjects
+		};
+	}
+	return {
+		SaveName: "",
+		GameMode: "",
+		Date: "",
+		Table: "",
+		Sky: "",
+		Note: "",
+		Rules: "",
+		PlayerTurn: "",
+		ObjectStates: [objectState]
+	};
+}
+
+module.exports = { DEFAULT_BACK, MAX_CARDS_PER_SHEET, makeSheets, makeDeckObject };
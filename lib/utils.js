@@ -17,6 +17,9 @@
 
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
+
 function serializeFieldKey(field) {
 	let props = field.properties || [];
 	props = props.slice();
@@ -55,6 +58,16 @@ function csvToObjects(csvRows) {
 	});
 }
 
+/** Gives each object without an "id" field a default id based on its position. */
+function addDefaultIds(objects) {
+	objects.forEach((obj, i) => {
+		if (typeof obj.id === "undefined") {
+			obj.id = "id" + (1e6 + i);
+		}
+	});
+	return objects;
+}
+
 function entryToArray(entry) {
 	return entry ? ((entry instanceof Array) ? entry : (""+entry).split("\n")) : [];
 }
@@ -103,7 +116,8 @@ function satisfiesQuery(row, query) {
 	return ((typeof query === "undefined")
 		|| query === null
 		|| Object.keys(query).length === 0
-		|| (query.id === null && query.title === null)
+		// Missing id and title (for example, a query with only a "where" expression) match all rows
+		|| (query.id == null && query.title == null)
 		|| row.id === query.id
 		|| row.title === query.title);
 }
@@ -123,12 +137,84 @@ function multiplyCards(cards, renderedCards, quantity) {
 	return multipliedCards;
 }
 
+// Characters that are not allowed in file names on common file systems, including the control characters U+0000 to U+001F
+const UNSAFE_FILENAME_REGEX = new RegExp("[/\\\\:*?\"<>|" + String.fromCharCode(0x00) + "-" + String.fromCharCode(0x1F) + "]", "g");
+
+/** Fills placeholders like "{id}" or "{title}" in a file name pattern.  The values are sanitized so that they cannot introduce new directories or characters that are invalid in file names.  If slug is true, they are also converted with slugify(). */
+function formatFilename(pattern, fields, slug) {
+	return pattern.replace(/\{(\w+)\}/g, (match, name) => {
+		let value = fields[name];
+		if (value === null || typeof value === "undefined" || typeof value === "object") {
+			value = "";
+		}
+		return slug ? slugify(value) : ("" + value).replace(UNSAFE_FILENAME_REGEX, "_");
+	});
+}
+
+/** Converts a value to a lowercase string that is safe in file names and URLs on every platform: accents are removed, and each run of spaces, punctuation, or characters that are invalid in file names becomes a single "-".  Letters from other alphabets are kept.  For example, "Cash Out!" becomes "cash-out". */
+function slugify(value) {
+	return ("" + value)
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036F]/g, "")
+		.toLowerCase()
+		.replace(UNSAFE_FILENAME_REGEX, "-")
+		.replace(/[\s!#$%&'()+,.;=@[\]^`{}~-]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+}
+
+/** Greedy word wrapping, like WordWrappr, for text measured by a function other than WordWrappr's.  measure(string) returns the width of a string. */
+function wrapWords(text, maxWidth, measure) {
+	var lines = [];
+	var line = null;
+	var lineWidth = 0;
+	var spaceWidth = measure(" ");
+	for (let word of String(text).split(/\s+/)) {
+		if (word === "") continue;
+		let width = measure(word);
+		if (line !== null && lineWidth + spaceWidth + width <= maxWidth) {
+			line += " " + word;
+			lineWidth += spaceWidth + width;
+		} else {
+			if (line !== null) lines.push(line);
+			line = word;
+			lineWidth = width;
+		}
+	}
+	if (line !== null) lines.push(line);
+	return lines;
+}
+
+/** Writes a file by writing a temporary file next to it and renaming it into place, so that programs watching the file never see it half written. */
+function writeFileAtomic(filename, buffer, next) {
+	var tmpFilename = getTmpFilename(filename);
+	fs.writeFile(tmpFilename, buffer, (err) => {
+		if (err) return next(err);
+		fs.rename(tmpFilename, filename, next);
+	});
+}
+
+function writeFileAtomicSync(filename, buffer) {
+	var tmpFilename = getTmpFilename(filename);
+	fs.writeFileSync(tmpFilename, buffer);
+	fs.renameSync(tmpFilename, filename);
+}
+
+function getTmpFilename(filename) {
+	return path.join(path.dirname(filename), "." + path.basename(filename) + "." + process.pid + ".tmp");
+}
+
 module.exports = {
 	ARRAY_REGEX,
 	serializeFieldKey,
 	moveProperty,
 	csvToObjects,
+	addDefaultIds,
 	objectsToCsv,
 	satisfiesQuery,
-	multiplyCards
+	multiplyCards,
+	formatFilename,
+	slugify,
+	wrapWords,
+	writeFileAtomic,
+	writeFileAtomicSync
 };
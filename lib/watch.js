@@ -0,0 +1,119 @@
+/*
+ * Copyright (C) 2019 Shane F. Carr
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* watch.js
+ *
+ * Watcher: Watches a list of files and calls back with the files that changed.  The files are polled with fs.watchFile(), which, unlike fs.watch(), keeps working when an editor saves a file by replacing it.  Changes are collected until the files have been quiet for a moment, so saving several files at once results in a single callback.
+ *
+ * DeckWatcher: Watches the files of a ReadAndRender instance, and updates the instance with ReadAndRender#update() when they change.  Used by the "--watch" option and by "card-creatr serve".
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const POLL_INTERVAL = 250;
+const QUIET_DELAY = 100;
+
+class Watcher {
+	constructor(files, onChange) {
+		this.onChange = onChange;
+		this.files = [];
+		this.changed = [];
+		this.timeout = null;
+		this._listeners = {};
+		this.setFiles(files);
+	}
+
+	/** Replaces the list of watched files, for example after the config file changes to reference different files. */
+	setFiles(files) {
+		for (let file of this.files) {
+			if (files.indexOf(file) === -1) fs.unwatchFile(file, this._listeners[file]);
+		}
+		var listeners = {};
+		for (let file of files) {
+			listeners[file] = this._listeners[file] || ((curr, prev) => { this._onStat(file, curr, prev); });
+			if (this.files.indexOf(file) === -1) fs.watchFile(file, { interval: POLL_INTERVAL }, listeners[file]);
+		}
+		this._listeners = listeners;
+		this.files = files.slice();
+	}
+
+	close() {
+		this.setFiles([]);
+		clearTimeout(this.timeout);
+	}
+
+	_onStat(file, curr, prev) {
+		if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+		if (this.changed.indexOf(file) === -1) this.changed.push(file);
+		clearTimeout(this.timeout);
+		this.timeout = setTimeout(() => {
+			let changed = this.changed;
+			this.changed = [];
+			this.onChange(changed);
+		}, QUIET_DELAY);
+	}
+}
+
+class DeckWatcher {
+	/** onUpdate(err, next) is called after each update, with an error if the update failed, and must call next() once it is done using the instance, for example after rendering it.  Changes made in the meantime are processed afterwards. */
+	constructor(inst, onUpdate) {
+		this.inst = inst;
+		this.onUpdate = onUpdate;
+		this.watcher = null;
+		this.updating = false;
+		this.pending = [];
+		this.loadFailed = false;
+	}
+
+	/** Starts watching the files of the instance, and returns how many there are.  If loadFailed is true, the instance may be only partly loaded, so the first change loads everything again. */
+	start(loadFailed) {
+		this.loadFailed = !!loadFailed;
+		this.watcher = new Watcher(this.inst.getSourceFiles(), this._onChange.bind(this));
+		return this.watcher.files.length;
+	}
+
+	close() {
+		if (this.watcher) this.watcher.close();
+	}
+
+	_onChange(changedFiles) {
+		if (this.updating) {
+			this.pending = this.pending.concat(changedFiles);
+			return;
+		}
+		this.updating = true;
+		this.inst.update(this.loadFailed ? null : changedFiles, (err) => {
+			this.loadFailed = !!err;
+			this.onUpdate(err || null, () => {
+				this.watcher.setFiles(this.inst.getSourceFiles());
+				this.updating = false;
+				if (this.pending.length > 0) {
+					let pending = this.pending;
+					this.pending = [];
+					this._onChange(pending);
+				}
+			});
+		});
+	}
+}
+
+module.exports = {
+	Watcher,
+	DeckWatcher
+};
@@ -21,17 +21,28 @@
 
 // This is a high-level, end-to-end test that runs most code paths.
 
+const cardCreatr = require("..");
+const CcsbReader = require("..").CcsbReader;
 const expect = require("expect");
 const fs = require("fs");
+const http = require("http");
+const os = require("os");
 const path = require("path");
+const PreviewServer = require("..").PreviewServer;
 const ReadAndRender = require("..").ReadAndRender;
 const isCI = require("is-ci");
+const WordWrappr = require("word-wrappr");
 
 // Change this to TRUE to generate new test data and overwrite the old test data. (Never commit with the value set to true!)
 const OVERWRITE_EXPECTATIONS = false;
 
 const CONFIG_PATH = path.join(__dirname, "..", "demo", "config.hjson");
 const CCSB_PATH = path.join(__dirname, "..", "demo.ccsb");
+const TEMPLATES_CONFIG_PATH = path.join(__dirname, "cases", "templates", "config.hjson");
+const DATA_DIR = path.join(__dirname, "cases", "data");
+const BACKS_DIR = path.join(__dirname, "cases", "backs");
+const REPORT_CONFIG_PATH = path.join(__dirname, "cases", "report", "config.hjson");
+const TEXT_CONFIG_PATH = path.join(__dirname, "cases", "text", "config.hjson");
 
 const EXPECTED_SVG_PATH = path.join(__dirname, "cases", "cash.svg");
 const EXPECTED_SVG = fs.readFileSync(EXPECTED_SVG_PATH);
@@ -79,6 +90,14 @@ function maybeOverwriteExpected(path, buffer) {
 }
 
 
+/** Loads the card with the given id from the text layout deck, and returns the instance and the SVG of the card. */
+function renderTextCard(id, optionsOverride) {
+	var inst = new ReadAndRender(TEXT_CONFIG_PATH, optionsOverride, { query: { where: "id == \"" + id + "\"" } });
+	inst.loadSync();
+	return { inst, svg: inst.run(-1, 1, "svg").toString("utf-8") };
+}
+
+
 function expectBufferEquals(a, b) {
 	var result = a.equals(b);
 	if (!result) {
@@ -215,6 +234,211 @@ describe("ReadAndRender", function() {
 				}
 			});
 		});
+		it("should produce a vector PDF with one page per page for config.hjson", function(done) {
+			var inst = new ReadAndRender(CONFIG_PATH, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				try {
+					inst.run(-2, 5, "pdf", (err, buffer) => {
+						if (err) return done(err);
+						var pdfString = buffer.toString("latin1");
+						var pages = pdfString.match(/\/Type \/Page\b/g);
+						expect(pages.length).toEqual(2);
+						// 8.5 in by 11 in, from the page dimensions in the config.
+						expect(pdfString.match(/\/MediaBox \[[^\]]*\]/g)).toEqual(["/MediaBox [0 0 612 792]", "/MediaBox [0 0 612 792]"]);
+						return done(null);
+					});
+				} catch(err) {
+					return done(err);
+				}
+			});
+		});
+		it("should take the size of the PDF pages from the page dimensions", function(done) {
+			var inst = new ReadAndRender(CONFIG_PATH, { dimensions: { page: { unit: "mm", width: 210, height: 297 } } }, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				inst.run(1, 1, "pdf", (err, buffer) => {
+					if (err) return done(err);
+					try {
+						expect(buffer.toString("latin1").match(/\/MediaBox \[[^\]]*\]/g)).toEqual(["/MediaBox [0 0 595.275591 841.889764]"]);
+						return done(null);
+					} catch(err) {
+						return done(err);
+					}
+				});
+			});
+		});
+		it("should call back with an error when the PDF file cannot be written", function(done) {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { title: "Cash Out" } });
+			inst.loadSync();
+			var svg = inst.run(-1, 1, "svg");
+			var filename = path.join(os.tmpdir(), "card-creatr-missing-" + process.pid, "card.pdf");
+			cardCreatr.pdf.svgListToDestinationPdf(filename, [svg], inst.options.get("/dimensions/card"), {}, (err) => {
+				try {
+					expect(err).toExist();
+					expect(err.code).toEqual("ENOENT");
+					return done(null);
+				} catch(err) {
+					return done(err);
+				}
+			});
+		});
+		it("should rasterize every card and every page to a separate PNG", function(done) {
+			var inst = new ReadAndRender(CONFIG_PATH, { dimensions: { card: { dpi: 36 }, page: { dpi: 36 } } }, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				inst.runImages(-1, 1, (err, cards) => {
+					if (err) return done(err);
+					// 15 cards, 9 to a page
+					inst.runImages(-2, 5, (err, pages) => {
+						if (err) return done(err);
+						try {
+							expect(cards.map((image) => image.fields.index + ":" + image.fields.title)).toEqual(["1:Banker", "2:Pickpocket", "3:Cash Out"]);
+							expect(pages.map((image) => image.fields)).toEqual([{ index: 1, page: 1 }, { index: 2, page: 2 }]);
+							for (let image of cards.concat(pages)) {
+								expect(image.buffer.toString("latin1", 1, 4)).toEqual("PNG");
+							}
+							return done(null);
+						} catch(err) {
+							return done(err);
+						}
+					});
+				});
+			});
+		});
+		it("should lay out Tabletop Simulator sheets of at most 69 cards", function(done) {
+			var jsonPath = path.join(os.tmpdir(), "deck.json");
+			var inst = new ReadAndRender(CONFIG_PATH, { dimensions: { card: { dpi: 36 } } }, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				// 72 cards: a full sheet of 69 and a sheet of 3
+				inst.runTabletop(jsonPath, 24, (err, files) => {
+					if (err) return done(err);
+					try {
+						expect(files.map((file) => path.basename(file.path))).toEqual(["deck_1.png", "deck_2.png", "deck_back.png", "deck.json"]);
+						let deck = JSON.parse(files[3].buffer.toString("utf-8")).ObjectStates[0];
+						expect(deck.Name).toEqual("DeckCustom");
+						expect(Object.keys(deck.CustomDeck)).toEqual(["1", "2"]);
+						expect(deck.CustomDeck["1"]).toInclude({ NumWidth: 10, NumHeight: 7, UniqueBack: false });
+						expect(deck.CustomDeck["2"]).toInclude({ NumWidth: 3, NumHeight: 2, UniqueBack: false });
+						expect(deck.CustomDeck["1"].FaceURL).toMatch(/deck_1\.png$/);
+						expect(deck.CustomDeck["2"].BackURL).toMatch(/deck_back\.png$/);
+						expect(deck.DeckIDs.length).toEqual(72);
+						expect(deck.DeckIDs.slice(67, 70)).toEqual([167, 168, 200]);
+						expect(deck.ContainedObjects.length).toEqual(72);
+						expect(deck.ContainedObjects[0]).toInclude({ Name: "Card", Nickname: "Banker", CardID: 100 });
+						expect(deck.ContainedObjects[69].CustomDeck).toEqual({ "2": deck.CustomDeck["2"] });
+						return done(null);
+					} catch(err) {
+						return done(err);
+					}
+				});
+			});
+		});
+		it("should render only the cards whose files changed after an update", function(done) {
+			var inst = new ReadAndRender(CONFIG_PATH, {});
+			inst.enableRenderCache();
+			inst.load((err) => {
+				if (err) return done(err);
+				try {
+					inst.run(-2, 1, "svg");
+					expect(inst.renderCount).toEqual(3);
+					expect(inst.getSourceFiles()).toInclude(path.join(__dirname, "..", "demo", "images", "bank.jpg"));
+				} catch(err) {
+					return done(err);
+				}
+				inst.update([path.join(__dirname, "..", "demo", "images", "bank.jpg")], (err) => {
+					if (err) return done(err);
+					try {
+						inst.run(-2, 1, "svg");
+						expect(inst.renderCount).toEqual(1);
+						return done(null);
+					} catch(err) {
+						return done(err);
+					}
+				});
+			});
+		});
+		it("should pack a config file and the files it references into a bundle", function(done) {
+			var ccsbPath = path.join(os.tmpdir(), "card-creatr-test-" + process.pid + ".ccsb");
+			var inst = new ReadAndRender(CONFIG_PATH, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				inst.pack(ccsbPath, (err) => {
+					if (err) return done(err);
+					var bundle = new CcsbReader(ccsbPath);
+					bundle.load((err) => {
+						fs.unlinkSync(ccsbPath);
+						if (err) return done(err);
+						try {
+							expect(bundle.containsFile(CcsbReader.TEMPLATE_PATH)).toBe(true);
+							expect(bundle.containsFile(CcsbReader.DATA_PATH)).toBe(true);
+							expect(bundle.containsFile(CcsbReader.JSON_PATH)).toBe(true);
+							expect(bundle.listAllAssets()).toInclude("images/bank.jpg");
+							return done(null);
+						} catch(err) {
+							return done(err);
+						}
+					});
+				});
+			});
+		});
+		it("should render each card to its own file", function(done) {
+			var outputDir = path.join(os.tmpdir(), "card-creatr-test-" + process.pid);
+			var inst = new ReadAndRender(CONFIG_PATH, {});
+			inst.load((err) => {
+				if (err) return done(err);
+				inst.renderAll(outputDir, { index: "index.json" }, (err, index) => {
+					if (err) return done(err);
+					var files = fs.readdirSync(outputDir);
+					var indexJson = fs.readFileSync(path.join(outputDir, "index.json"), "utf-8");
+					for (let file of files) fs.unlinkSync(path.join(outputDir, file));
+					fs.rmdirSync(outputDir);
+					try {
+						expect(index["id1000002"]).toEqual("id1000002_cash-out.svg");
+						expect(JSON.parse(indexJson)).toEqual(index);
+						expect(files).toInclude("id1000002_cash-out.svg");
+						expect(files.length).toEqual(Object.keys(index).length + 1);
+						return done(null);
+					} catch(err) {
+						return done(err);
+					}
+				});
+			});
+		});
+		it("should serve an index page and the SVG of each card", function(done) {
+			var server = new PreviewServer(new ReadAndRender(CONFIG_PATH, {}));
+			var get = (url, next) => {
+				http.get(url, (res) => {
+					var chunks = [];
+					res.on("data", (chunk) => { chunks.push(chunk); });
+					res.on("end", () => { next(res, Buffer.concat(chunks).toString("utf-8")); });
+				}).on("error", done);
+			};
+			server.listen(0, "127.0.0.1", (err, address) => {
+				if (err) return done(err);
+				get(address, (res, body) => {
+					try {
+						expect(res.statusCode).toEqual(200);
+						expect(body).toInclude("<img src=\"/card/id1000002.svg\"");
+					} catch(err) {
+						return server.close(() => { done(err); });
+					}
+					get(address + "card/id1000002.svg", (res, body) => {
+						server.close(() => {
+							try {
+								expect(res.statusCode).toEqual(200);
+								expect(res.headers["content-type"]).toInclude("image/svg+xml");
+								expect(body).toInclude("<svg");
+								return done(null);
+							} catch(err) {
+								return done(err);
+							}
+						});
+					});
+				});
+			});
+		});
 		it("should produce the expected SVG output for fontRenderMode=auto", function(done) {
 			var inst = new ReadAndRender(CONFIG_PATH, { fontRenderMode: "auto" }, { query: { title: "Cash Out" } });
 			inst.load((err) => {
@@ -244,6 +468,371 @@ describe("ReadAndRender", function() {
 			var inst = new ReadAndRender(CCSB_PATH, {});
 			expect(inst.loadSync.bind(inst)).toThrow(/Sync is not supported when reading ccsb files/);
 		});
+		it("should filter cards with a where expression", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { where: "stringNumber >= 1 && title != \"Banker\"" } });
+			inst.loadSync();
+			expect(inst.cards.map((card) => card.get("/title"))).toEqual(["Pickpocket"]);
+		});
+		it("should throw error for invalid where expression", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { where: "title ==" } });
+			expect(inst.loadSync.bind(inst)).toThrow(/Syntax error in query/);
+		});
+		it("should match every row with a global regular expression", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { where: "title =~ /a/gi" } });
+			inst.loadSync();
+			expect(inst.cards.map((card) => card.get("/title"))).toEqual(["Banker", "Cash Out"]);
+		});
+		it("should not order rows without a value for the compared field", function() {
+			var titles = (where) => {
+				let inst = new ReadAndRender(path.join(DATA_DIR, "config.hjson"), { query: { where } }, { "data (path)": path.join(DATA_DIR, "query.json") });
+				inst.loadSync();
+				return inst.cards.map((card) => card.get("/title"));
+			};
+			// "Token" has no cost, and "Blank" has an empty cost.
+			expect(titles("cost >= 3")).toEqual(["Dragon"]);
+			expect(titles("cost < 3")).toEqual(["Goblin"]);
+			expect(titles("!(cost > 0)")).toEqual(["Token", "Blank"]);
+			expect(titles("cost == null")).toEqual(["Token"]);
+		});
+		it("should throw error for a where expression with an unknown field", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { where: "colour == \"red\"" } });
+			expect(inst.loadSync.bind(inst)).toThrow(/Unknown field in query: colour/);
+		});
+		it("should render each card with the template named in its template column", function() {
+			var inst = new ReadAndRender(TEMPLATES_CONFIG_PATH, {});
+			inst.loadSync();
+			var svg = inst.run(1, 1, "svg").toString("utf-8");
+			var rects = svg.match(/class="\w+"[^>]* data-title="\w+"/g).map((rect) => {
+				return /class="(\w+)"/.exec(rect)[1] + ":" + /data-title="(\w+)"/.exec(rect)[1];
+			});
+			expect(rects).toEqual(["spell:Fireball", "creature:Goblin", "front:Treasure", "spell:Heal"]);
+		});
+		it("should throw error for unknown template", function() {
+			var inst = new ReadAndRender(TEMPLATES_CONFIG_PATH, { templateColumn: "title" }, {});
+			inst.loadSync();
+			expect(inst.run.bind(inst, 1, 1, "svg")).toThrow(/Unknown template "Fireball" in column "title" of card "1"\. {2}Available templates: spell, creature/);
+		});
+		it("should extend the card by the bleed and draw crop marks on the page", function() {
+			var bleed = { viewports: { card: { bleed: 9 }, page: { bleed: 9, cropMarks: true } } };
+			var cropMarksRegex = /<path d="([^"]*)" fill="none" stroke="#000000" stroke-width="0.5"\/>/g;
+			var inst = new ReadAndRender(CONFIG_PATH, bleed, { query: { title: "Cash Out" } });
+			inst.loadSync();
+			var card = inst.run(-1, 1, "svg").toString("utf-8");
+			expect(card).toInclude("width=\"198pt\" height=\"270pt\"");
+			expect(card).toInclude("viewBox=\"-9 -9 198 270\"");
+			var page = inst.run(1, 1, "svg").toString("utf-8");
+			expect(page).toInclude("width=\"612pt\" height=\"792pt\"");
+			var cropMarks = page.match(cropMarksRegex);
+			expect(cropMarks.length).toEqual(1);
+			// The first vertical cut line is the left edge of the first card, inside its bleed.
+			expect(cropMarks[0]).toInclude("M18,126 V117 ");
+			inst = new ReadAndRender(CONFIG_PATH, { viewports: { card: { bleed: 9 }, page: { bleed: 9 } } }, {});
+			inst.loadSync();
+			expect(inst.run(1, 1, "svg").toString("utf-8").match(cropMarksRegex)).toBe(null);
+		});
+		it("should throw error for a page bleed that does not match the card bleed", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { viewports: { card: { bleed: 9 }, page: { cardWidth: 90, cardHeight: 126, bleed: 9 } } }, {});
+			expect(inst.loadSync.bind(inst)).toThrow(/\/viewports\/page\/bleed: the page bleed 9 does not match the card bleed 9, which is 4\.5 in page coordinates/);
+			inst = new ReadAndRender(CONFIG_PATH, { viewports: { card: { bleed: 9 }, page: { cardWidth: 90, cardHeight: 126, bleed: 4.5 } } }, {});
+			inst.loadSync();
+		});
+		it("should read typed columns from xlsx and ods spreadsheets", function() {
+			for (let file of ["cards.xlsx", "cards.ods"]) {
+				let inst = new ReadAndRender(path.join(DATA_DIR, "config.hjson"), {}, { "data (path)": path.join(DATA_DIR, file) });
+				inst.loadSync();
+				expect(inst.cards.map((card) => [card.get("/title"), card.get("/cost"), card.get("/power"), card.get("/keywords")])).toEqual([
+					["Fireball", 3, 2.5, ["Instant", "Burn"]],
+					["Goblin", 1, 1, ["Minion", ""]]
+				]);
+			}
+		});
+		it("should read the sheet given by dataSheet", function() {
+			var inst = new ReadAndRender(path.join(DATA_DIR, "config.hjson"), {}, { "data (path)": path.join(DATA_DIR, "cards.xlsx"), dataSheet: "Extra" });
+			inst.loadSync();
+			expect(inst.cards.map((card) => card.get("/title"))).toEqual(["Other"]);
+		});
+		it("should read typed fields and nested objects from JSON and YAML card data", function() {
+			for (let file of ["cards.json", "cards.yaml"]) {
+				let inst = new ReadAndRender(path.join(DATA_DIR, "config.hjson"), {}, { "data (path)": path.join(DATA_DIR, file) });
+				inst.loadSync();
+				expect(inst.cards.map((card) => [card.get("/title"), card.get("/cost"), card.get("/stats/power"), card.get("/stats/element"), card.get("/keywords")])).toEqual([
+					["Fireball", 3, 2.5, "fire", ["Instant", "Burn"]],
+					["Goblin", 1, 1, "earth", ["Minion"]]
+				]);
+			}
+		});
+		it("should write card data as JSON without the directory of each row", function(done) {
+			var objects = cardCreatr.json.jsonBufferToObjectsSync(fs.readFileSync(path.join(DATA_DIR, "cards.json")), "application/json");
+			var rows = objects.map((obj) => Object.assign({ _dirname: DATA_DIR }, obj));
+			cardCreatr.json.objectsToJsonBuffer(rows, (err, buffer) => {
+				if (err) return done(err);
+				try {
+					let string = buffer.toString("utf-8");
+					expect(string).toNotInclude("_dirname");
+					expect(string[string.length - 1]).toEqual("\n");
+					expect(JSON.parse(string)).toEqual(objects);
+					expect(objects[0].stats).toEqual({ "power (number)": "2.5", element: "fire" });
+					return done(null);
+				} catch(err) {
+					return done(err);
+				}
+			});
+		});
+		it("should shrink text with +textFit until it fits in its box", function() {
+			var short = renderTextCard("short", {}).svg;
+			expect(short).toInclude("font-size=\"20\">Gain one coin.<");
+			var long = renderTextCard("long", {}).svg;
+			var lines = long.match(/<text [^>]*>/g);
+			var fontSizes = lines.map((line) => parseFloat(/font-size="([\d.]+)"/.exec(line)[1]));
+			var baselines = lines.map((line) => parseFloat(/ y="([\d.]+)"/.exec(line)[1]));
+			expect(lines.length).toEqual(5);
+			// Every line has the same font size, reduced from 20 in steps of 5%, but not below the minimum of 6.
+			expect(fontSizes.filter((size) => size !== fontSizes[0]).length).toEqual(0);
+			expect(fontSizes[0]).toBeLessThan(20).toBeGreaterThanOrEqualTo(6);
+			var steps = Math.log(fontSizes[0] / 20) / Math.log(0.95);
+			expect(Math.abs(steps - Math.round(steps))).toBeLessThan(1e-6);
+			// The box is from y=10 to y=70.
+			expect(baselines[4]).toBeLessThanOrEqualTo(70);
+			// The box is not described by attributes of the text.
+			expect(lines.filter((line) => /\b(height|minFontSize|verticalAlign)=/.test(line)).length).toEqual(0);
+		});
+		it("should draw bold, italic, and colored runs and icons with +richTextWrap", function() {
+			var text = renderTextCard("rich", { fontRenderMode: "auto" }).svg;
+			var runs = text.match(/<tspan [^>]*>[^<]*/g).map((tspan) => {
+				let fill = / fill="([^"]*)"/.exec(tspan);
+				return /font-family="(\w+)"/.exec(tspan)[1] + (fill ? " " + fill[1] : "") + ":" + tspan.substring(tspan.indexOf(">") + 1);
+			});
+			expect(runs).toEqual(["body:Gain ", "bold:2", "body:and ", "italic:draw", "body:a ", "body #FF0000:red", "body:card."]);
+			expect(text.match(/<image /g).length).toEqual(1);
+			var paths = renderTextCard("rich", { fontRenderMode: "paths" }).svg;
+			expect(paths).toExclude("<tspan");
+			expect(paths.match(/<path [^>]*>/g).map((path) => path.indexOf("#FF0000") !== -1)).toEqual([false, false, false, false, false, true, false]);
+			expect(paths.match(/<image /g).length).toEqual(1);
+		});
+		it("should spread the words of justified lines to the full width", function() {
+			var card = renderTextCard("justify", {});
+			var lines = card.svg.split("<text ").slice(1);
+			expect(lines.length).toEqual(3);
+			var words = lines[0].match(/<tspan x="[\d.]+">\w+/g);
+			expect(words.map((word) => word.substring(word.indexOf(">") + 1))).toEqual(["Each", "player", "draws", "two", "cards"]);
+			// The last word ends at the right edge of the box, x=170.
+			var wrappr = card.inst.options.get("/fonts/body").wrappr;
+			var lastX = parseFloat(/x="([\d.]+)"/.exec(words[4])[1]);
+			expect(Math.abs(lastX + wrappr.computeWidth("cards", 11) - 170)).toBeLessThan(0.01);
+			// The last line of the paragraph is not justified.
+			expect(lines[2]).toExclude("<tspan").toInclude(">their choice.<");
+		});
+		it("should hyphenate long words at the ends of lines", function() {
+			var svg = renderTextCard("hyphen", {}).svg;
+			var lines = svg.match(/<text [^>]*>[^<]*/g).map((line) => line.substring(line.indexOf(">") + 1));
+			expect(lines).toEqual(["Extraordi-", "nary incom-", "prehensibili-", "ties"]);
+		});
+		it("should draw the glyphs of right-to-left text from right to left", function() {
+			var card = renderTextCard("rtl", { fontRenderMode: "paths", fonts: { "rtl (font)": WordWrappr.getDejaVuPath("DejaVuSans") } });
+			var d = /<path d="([^"]*)"/.exec(card.svg)[1];
+			var wrappr = card.inst.options.get("/fonts/rtl").wrappr;
+			// The text is "shalom": the last letter, final mem, is drawn first, at the left.
+			expect(d.indexOf(wrappr.getPath("\u05DD", 10, 40, 20).toPathData())).toEqual(0);
+			expect(d.indexOf(wrappr.getPath("\u05E9", 10, 40, 20).toPathData())).toNotEqual(0);
+		});
+		it("should throw error for card back without a back template", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { query: { title: "Cash Out" } });
+			inst.loadSync();
+			expect(inst.run.bind(inst, -4, 1, "svg")).toThrow(/No back template was found/);
+		});
+		it("should render the global back template and the back template of a row", function(done) {
+			var inst = new ReadAndRender(path.join(BACKS_DIR, "config.hjson"), {});
+			inst.loadSync();
+			inst.runCards(true, "svg", (err, images) => {
+				if (err) return done(err);
+				var sides = images.map((image) => /data-side="([^"]*)"/.exec(image.buffer.toString("utf-8"))[1]);
+				expect(sides).toEqual(["back", "special back"]);
+				done();
+			});
+		});
+		it("should render a back page after each front page with -3", function() {
+			var inst = new ReadAndRender(path.join(BACKS_DIR, "config.hjson"), {});
+			inst.loadSync();
+			var svg = inst.run(-3, 1, "svg").toString("utf-8");
+			var sides = (svg.match(/data-side="[^"]*"/g) || []).sort();
+			expect(sides).toEqual(["data-side=\"back\"", "data-side=\"front\"", "data-side=\"front\"", "data-side=\"special back\""]);
+			expect(inst.renderCount).toEqual(4);
+		});
+		it("should not render the backs when only the fronts are output", function() {
+			var inst = new ReadAndRender(path.join(BACKS_DIR, "config.hjson"), {});
+			inst.loadSync();
+			expect(inst.run(-1, 1, "svg").toString("utf-8")).toExclude("back\"");
+			expect(inst.renderCount).toEqual(2);
+			inst.run(1, 1, "svg");
+			expect(inst.renderCount).toEqual(2);
+		});
+		it("should report no rendering problems for config.hjson", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, {});
+			inst.loadSync();
+			inst.run(-1, 1, "svg");
+			expect(inst.getReport()).toEqual([]);
+		});
+		it("should report overflowing text, missing images, and fields that no row has", function() {
+			var inst = new ReadAndRender(REPORT_CONFIG_PATH, {});
+			inst.loadSync();
+			inst.run(-1, 1, "svg");
+			var report = inst.getReport();
+			expect(report.map((problem) => problem.index + " " + problem.type + " " + (problem.field || ""))).toEqual([
+				"0 missingImage /art",
+				"0 undefinedField subtitle",
+				"1 undefinedField subtitle",
+				"1 textOverflow ",
+				"1 textOverflow "
+			]);
+			expect(report[0].path).toMatch(/missing\.png$/);
+			expect(report[3].message).toMatch(/^\+text: text "Goblin King of the Northern Mountains an" is 254\.02 wide, which does not fit in its width of 160$/);
+		});
+		it("should measure each character with the first font in a fallback chain that has it", function() {
+			var regular = path.join(__dirname, "..", "demo", "fonts", "amaranth", "Amaranth-Regular.otf");
+			var bold = path.join(__dirname, "..", "demo", "fonts", "amaranth", "Amaranth-Bold.otf");
+			var inst = new ReadAndRender(CONFIG_PATH, { fonts: { "title (font)": [bold, regular] } }, {});
+			inst.loadSync();
+			var title = inst.options.get("/fonts/title");
+			expect(title.fallbacks.length).toEqual(1);
+			var runs = title.wrappr.splitRuns("Cash Out");
+			expect(runs.length).toEqual(1);
+			expect(runs[0].wrappr).toBe(title.wrappr.wrapprs[0]);
+			expect(title.wrappr.computeWidth("Cash Out", 17)).toEqual(title.wrappr.wrapprs[0].computeWidth("Cash Out", 17));
+		});
+		it("should overlay translations and report untranslated fields for a locale", function() {
+			var locales = { fr: { "strings (path)": path.join(__dirname, "cases", "strings_fr.csv") } };
+			var inst = new ReadAndRender(CONFIG_PATH, { locale: "fr", locales }, {});
+			inst.loadSync();
+			expect(inst.cards.map((card) => card.get("/title"))).toEqual(["Banquier", "Pickpocket", "Encaisser"]);
+			expect(inst.cards[1].get("/body")).toEqual(["Steal $1 from any player.", ""]);
+			expect(inst.getUntranslated().map((entry) => [entry.index, entry.field])).toEqual([[1, "body"]]);
+		});
+		it("should throw error for unknown locale", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { locale: "xx" }, {});
+			expect(inst.loadSync.bind(inst)).toThrow(/Unknown locale "xx"/);
+		});
+		it("should throw error for misspelled config fields", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { viewports: { page: { cardWidht: 180 } } }, {});
+			expect(inst.loadSync.bind(inst)).toThrow(/\/viewports\/page\/cardWidht: unknown field; did you mean "cardWidth"\?/);
+		});
+		it("should warn about custom config fields close to known fields", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { date: "2019-05-01" }, {});
+			inst.loadSync();
+			expect(inst.options.get("/date")).toEqual("2019-05-01");
+			expect(inst.getConfigWarnings().map((warning) => warning.path + ": " + warning.message)).toEqual(["/date: unknown field; did you mean \"data\"?"]);
+		});
+		it("should throw error for a misspelled config section", function() {
+			var inst = new ReadAndRender(path.join(__dirname, "cases", "invalid", "viewport.hjson"), {});
+			expect(inst.loadSync.bind(inst)).toThrow(/viewport\.hjson:5: \/viewport: unknown field; did you mean "viewports"\?/);
+		});
+		it("should throw error for a config without viewports", function() {
+			var inst = new ReadAndRender(path.join(__dirname, "cases", "invalid", "no-viewports.hjson"), {});
+			expect(inst.loadSync.bind(inst)).toThrow(/\/viewports: required field is missing/);
+		});
+		it("should throw error for config fields of the wrong type", function() {
+			var inst = new ReadAndRender(CONFIG_PATH, { layoutStrategy: 5 }, {});
+			expect(inst.loadSync.bind(inst)).toThrow(/\/layoutStrategy: expected a string, but found the number 5/);
+		});
 	});
 
 });
+
+describe("Promise API", function() {
+	this.timeout(30000);
+	it("should render the same card as ReadAndRender", function() {
+		return cardCreatr.render({ input: CONFIG_PATH, query: { title: "Cash Out" }, format: "svg" }).then((buffer) => {
+			expectBufferEquals(buffer, EXPECTED_SVG);
+		});
+	});
+	it("should render the same page in worker threads", function() {
+		return Promise.all([
+			cardCreatr.render({ input: CONFIG_PATH, page: 1 }),
+			cardCreatr.render({ input: CONFIG_PATH, page: 1, jobs: 2 })
+		]).then((buffers) => {
+			expectBufferEquals(buffers[1], buffers[0]);
+		});
+	});
+	it("should stop the worker threads after each render", function() {
+		var deck;
+		return cardCreatr.load({ input: CONFIG_PATH, jobs: 2 }).then((inst) => {
+			deck = inst;
+			return cardCreatr.render({ instance: deck, page: 1 });
+		}).then(() => {
+			expect(deck.renderPool.workers.length).toEqual(0);
+			return cardCreatr.render({ instance: deck, page: 1 });
+		}).then(() => {
+			expect(deck.renderPool.workers.length).toEqual(0);
+		});
+	});
+	it("should reuse the cards in the render cache", function() {
+		var cacheDir = path.join(os.tmpdir(), "card-creatr-cache-" + process.pid);
+		var deck, first;
+		return cardCreatr.load({ input: CONFIG_PATH, cache: cacheDir }).then((inst) => {
+			deck = inst;
+			return cardCreatr.render({ instance: deck, page: 1 });
+		}).then((buffer) => {
+			first = buffer;
+			expect(deck.renderCount).toEqual(3);
+			return cardCreatr.render({ input: CONFIG_PATH, page: 1, cache: cacheDir });
+		}).then((buffer) => {
+			expectBufferEquals(buffer, first);
+			return cardCreatr.load({ input: CONFIG_PATH, cache: cacheDir });
+		}).then((inst) => {
+			deck = inst;
+			return cardCreatr.render({ instance: deck, page: 1 });
+		}).then(() => {
+			expect(deck.renderCount).toEqual(0);
+			return new Promise((resolve, reject) => {
+				deck.diskCache.clean((err) => { return err ? reject(err) : resolve(); });
+			});
+		});
+	});
+	it("should edit a bundle and save it", function() {
+		var ccsbPath = path.join(os.tmpdir(), "card-creatr-test-" + process.pid + ".ccsb");
+		return cardCreatr.openDeck({ input: CCSB_PATH }).then((deck) => {
+			expect(() => { deck.updateCard("id1000002", { image: "images/missing.jpg" }); }).toThrow(cardCreatr.ArgumentError);
+			deck.updateCard("id1000002", { title: "Cash In" });
+			deck.deleteCard("id1000000");
+			deck.addCard({ title: "Banker", image: "images/bank.jpg", body: ["Gain $3 from the bank."] });
+			return cardCreatr.saveDeck({ deck, output: ccsbPath });
+		}).then(() => {
+			return cardCreatr.openDeck({ input: ccsbPath });
+		}).then((deck) => {
+			fs.unlinkSync(ccsbPath);
+			var cards = deck.getCards();
+			expect(cards.map((card) => { return card.title; })).toEqual(["Pickpocket", "Cash In", "Banker"]);
+			expect(cards[2].body).toEqual(["Gain $3 from the bank.", ""]);
+			expect(deck.getAssets().map((asset) => { return asset.path; })).toInclude("images/bank.jpg");
+		});
+	});
+	it("should reject with a ConfigError for an invalid config", function() {
+		return cardCreatr.render({ input: CONFIG_PATH, options: { layoutStrategy: 5 } }).then(() => {
+			throw new Error("Expected a rejection");
+		}, (err) => {
+			expect(err).toBeA(cardCreatr.ConfigError);
+			expect(err.errors.length).toEqual(1);
+		});
+	});
+	it("should reject with a ProblemsError for problems found while rendering with the strict option", function() {
+		return cardCreatr.render({ input: REPORT_CONFIG_PATH, strict: true }).then(() => {
+			throw new Error("Expected a rejection");
+		}, (err) => {
+			expect(err).toBeA(cardCreatr.ProblemsError);
+			expect(err.message).toEqual("5 problem(s) found while rendering");
+			expect(err.report.map((problem) => problem.type)).toInclude("missingImage");
+		});
+	});
+	it("should resolve for problems found while rendering without the strict option", function() {
+		return cardCreatr.render({ input: REPORT_CONFIG_PATH }).then((buffer) => {
+			expect(buffer.toString("utf-8")).toInclude("<svg");
+		});
+	});
+	it("should reject with a RenderError when no cards match the query", function() {
+		return cardCreatr.render({ input: CONFIG_PATH, query: { id: "none" } }).then(() => {
+			throw new Error("Expected a rejection");
+		}, (err) => {
+			expect(err).toBeA(cardCreatr.RenderError);
+			expect(err.message).toMatch(/No cards were found/);
+		});
+	});
+});